@@ -3,6 +3,12 @@ const cors = require('cors');
 const axios = require('axios');
 const { createClient } = require('@supabase/supabase-js');
 const speakeasy = require('speakeasy');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const juice = require('juice');
+const nodemailer = require('nodemailer');
+const { convert: htmlToText } = require('html-to-text');
 require('dotenv').config();
 
 // ============= EARLY STARTUP LOGGING =============
@@ -15,6 +21,12 @@ console.log('========================================\n');
 
 const app = express();
 
+// Rate limits key on req.ip, so behind a proxy (Render) it has to come from X-Forwarded-For.
+// TRUST_PROXY is the number of proxy hops in front of the app.
+app.set('trust proxy', process.env.TRUST_PROXY !== undefined
+  ? parseInt(process.env.TRUST_PROXY, 10) || 0
+  : (process.env.RENDER ? 1 : 0));
+
 console.log('[Init] Setting up Express middleware...');
 app.use(express.json({ limit: '50mb' }));
 
@@ -25,7 +37,9 @@ const allowedOrigins = [
   'http://localhost:5173',
   'http://localhost:3000',
   'http://localhost:5000',
-  process.env.CLIENT_URL || 'https://nommia-ib-dashboard.onrender.com'
+  process.env.CLIENT_URL || 'https://nommia-ib-dashboard.onrender.com',
+  // This backend's own origin, for the unsubscribe confirmation form
+  ...(process.env.PUBLIC_BASE_URL ? [process.env.PUBLIC_BASE_URL.replace(/\/$/, '')] : [])
 ];
 console.log(`[CORS] Allowed origins: ${allowedOrigins.join(', ')}`);
 
@@ -41,7 +55,8 @@ app.use(cors({
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Idempotency-Key', 'X-Admin-Key'],
+  exposedHeaders: ['Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset'],
   maxAge: 86400
 }));
 
@@ -56,446 +71,5226 @@ app.options('*', cors({
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Idempotency-Key', 'X-Admin-Key']
 }));
 
-// ============= SUPABASE CLIENT =============
-console.log('[Init] Initializing Supabase client...');
-const supabaseUrl = process.env.SUPABASE_URL;
-const supabaseKey = process.env.SUPABASE_KEY;
+// ============= SUPABASE CLIENT =============
+console.log('[Init] Initializing Supabase client...');
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseKey = process.env.SUPABASE_KEY;
+
+let supabase = null;
+if (supabaseUrl && supabaseKey) {
+  supabase = createClient(supabaseUrl, supabaseKey);
+  console.log('[Supabase] ✅ Client initialized');
+} else {
+  console.warn('[Supabase] ⚠️ SUPABASE_URL or SUPABASE_KEY not set - payout storage disabled');
+}
+
+// ============= EMAIL TRANSPORT CONFIGURATION =============
+// Every outgoing email goes through one transport, chosen with EMAIL_TRANSPORT:
+//   brevo  - Brevo REST API (default)
+//   smtp   - any SMTP server via nodemailer (SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS)
+//   outbox - captures messages locally instead of sending; in memory, or as JSON files in EMAIL_OUTBOX_DIR.
+//            Only used when EMAIL_TRANSPORT=outbox is set explicitly
+// A transport is { name, service, configHint, isConfigured(), send(message) -> { messageId } } where
+// message is { from: { name, email }, to: [email], subject, html, text, headers?, replyTo?: { name, email } }
+console.log('[Init] Loading email transport configuration...');
+const IS_PRODUCTION = process.env.NODE_ENV === 'production';
+const BREVO_API_KEY = process.env.BREVO_API_KEY;
+const BREVO_API_URL = 'https://api.brevo.com/v3/smtp/email';
+const OUTBOX_MEMORY_LIMIT = 200;
+
+const EMAIL_CONFIG = {
+  from: process.env.SMTP_FROM,
+  fromName: process.env.SMTP_FROM_NAME
+};
+
+const createBrevoTransport = () => ({
+  name: 'brevo',
+  service: 'brevo-rest-api',
+  configHint: 'Check BREVO_API_KEY in .env',
+  isConfigured: () => Boolean(BREVO_API_KEY),
+  send: async (message) => {
+    const payload = {
+      sender: message.from,
+      to: message.to.map(email => ({
+        email: email,
+        name: email.split('@')[0]
+      })),
+      subject: message.subject,
+      htmlContent: message.html,
+      textContent: message.text
+    };
+
+    if (message.headers) {
+      payload.headers = message.headers;
+    }
+
+    if (message.replyTo) {
+      payload.replyTo = message.replyTo;
+    }
+
+    const response = await axios.post(BREVO_API_URL, payload, {
+      headers: {
+        'accept': 'application/json',
+        'api-key': BREVO_API_KEY,
+        'content-type': 'application/json'
+      }
+    });
+
+    return { messageId: response.data.messageId };
+  }
+});
+
+const createSmtpTransport = () => {
+  const transporter = process.env.SMTP_HOST
+    ? nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+    })
+    : null;
+
+  return {
+    name: 'smtp',
+    service: 'smtp',
+    configHint: 'Check SMTP_HOST, SMTP_PORT, SMTP_USER and SMTP_PASS in .env',
+    isConfigured: () => Boolean(transporter),
+    send: async (message) => {
+      const info = await transporter.sendMail({
+        from: { name: message.from.name || '', address: message.from.email },
+        to: message.to,
+        subject: message.subject,
+        html: message.html,
+        text: message.text,
+        headers: message.headers,
+        replyTo: message.replyTo ? { name: message.replyTo.name || '', address: message.replyTo.email } : undefined
+      });
+
+      return { messageId: info.messageId };
+    }
+  };
+};
+
+const createOutboxTransport = () => {
+  const outboxDir = process.env.EMAIL_OUTBOX_DIR;
+  const memory = [];
+
+  const list = async () => {
+    if (!outboxDir) return [...memory].reverse();
+
+    const files = await fs.promises.readdir(outboxDir).catch(() => []);
+    const entries = await Promise.all(files
+      .filter(file => file.endsWith('.json'))
+      .map(async file => JSON.parse(await fs.promises.readFile(path.join(outboxDir, file), 'utf8'))));
+    return entries.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  };
+
+  return {
+    name: 'outbox',
+    service: outboxDir ? 'local-outbox-disk' : 'local-outbox-memory',
+    configHint: '',
+    isConfigured: () => true,
+    send: async (message) => {
+      const id = crypto.randomUUID();
+      const entry = { id, messageId: `<${id}@outbox.nommia.local>`, createdAt: new Date().toISOString(), ...message };
+
+      if (outboxDir) {
+        await fs.promises.mkdir(outboxDir, { recursive: true });
+        await fs.promises.writeFile(path.join(outboxDir, `${id}.json`), JSON.stringify(entry, null, 2));
+      } else {
+        memory.push(entry);
+        if (memory.length > OUTBOX_MEMORY_LIMIT) memory.shift();
+      }
+
+      console.log(`[Outbox] 📥 Captured "${message.subject}" for ${message.to.join(', ')}`);
+      return { messageId: entry.messageId };
+    },
+    list,
+    get: async (id) => (await list()).find(entry => entry.id === id) || null,
+    clear: async () => {
+      if (!outboxDir) {
+        memory.length = 0;
+        return;
+      }
+      const files = await fs.promises.readdir(outboxDir).catch(() => []);
+      await Promise.all(files.filter(file => file.endsWith('.json')).map(file => fs.promises.unlink(path.join(outboxDir, file))));
+    }
+  };
+};
+
+const EMAIL_TRANSPORTS = {
+  brevo: createBrevoTransport,
+  smtp: createSmtpTransport,
+  outbox: createOutboxTransport
+};
+
+const EMAIL_TRANSPORT = (process.env.EMAIL_TRANSPORT || 'brevo').toLowerCase();
+if (!EMAIL_TRANSPORTS[EMAIL_TRANSPORT]) {
+  throw new Error(`Unknown EMAIL_TRANSPORT "${EMAIL_TRANSPORT}". Use one of: ${Object.keys(EMAIL_TRANSPORTS).join(', ')}`);
+}
+
+const emailTransport = EMAIL_TRANSPORTS[EMAIL_TRANSPORT]();
+
+if (emailTransport.isConfigured()) {
+  console.log(`[Email] ✅ Using ${emailTransport.name} transport (${emailTransport.service})`);
+  if (emailTransport.name === 'outbox') {
+    console.warn('[Email] ⚠️ Outbox transport captures email locally - nothing is delivered');
+  }
+} else {
+  console.error(`[Email] ❌ ${emailTransport.name} transport not configured. ${emailTransport.configHint}`);
+}
+
+// ============= MESSAGING CHANNELS =============
+// Nudges and OTPs go out over a channel: email (the transport above), sms or whatsapp.
+// SMS and WhatsApp go through one messaging provider, chosen with MESSAGING_PROVIDER:
+//   none - default; SMS and WhatsApp are unavailable and requests for them are refused
+//   stub - captures messages in memory instead of sending (listed at /api/dev/messages); opt-in, and
+//          refused at startup in production so texts are never reported as sent while being dropped
+// A provider is { name, service, configHint, isConfigured(), send(message) -> { messageId } } where
+// message is { channel: 'sms' | 'whatsapp', to: '+<E.164 number>', body }
+// Text is limited per channel; SMS defaults to 320 characters (two concatenated GSM-7 segments).
+
+const MESSAGE_CHANNELS = ['email', 'sms', 'whatsapp'];
+const TEXT_CHANNELS = ['sms', 'whatsapp'];
+const TEXT_CHANNEL_LIMITS = {
+  sms: parseInt(process.env.SMS_MAX_LENGTH, 10) || 320,
+  whatsapp: parseInt(process.env.WHATSAPP_MAX_LENGTH, 10) || 1024
+};
+const MESSAGE_MEMORY_LIMIT = 200;
+
+const createStubMessagingProvider = () => {
+  const memory = [];
+
+  return {
+    name: 'stub',
+    service: 'local-stub-memory',
+    configHint: '',
+    isConfigured: () => true,
+    send: async (message) => {
+      const id = crypto.randomUUID();
+      const entry = { id, messageId: `stub-${id}`, createdAt: new Date().toISOString(), ...message };
+
+      memory.push(entry);
+      if (memory.length > MESSAGE_MEMORY_LIMIT) memory.shift();
+
+      console.log(`[Messaging] 📥 Captured ${message.channel} for ${message.to} (${[...message.body].length} chars)`);
+      return { messageId: entry.messageId };
+    },
+    list: async () => [...memory].reverse(),
+    clear: async () => {
+      memory.length = 0;
+    }
+  };
+};
+
+const createDisabledMessagingProvider = () => ({
+  name: 'none',
+  service: 'disabled',
+  configHint: 'Set MESSAGING_PROVIDER to enable SMS and WhatsApp',
+  isConfigured: () => false,
+  send: async () => {
+    const err = new Error('No messaging provider configured');
+    err.retryable = false;
+    throw err;
+  }
+});
+
+const MESSAGING_PROVIDERS = {
+  none: createDisabledMessagingProvider,
+  stub: createStubMessagingProvider
+};
+
+const MESSAGING_PROVIDER = (process.env.MESSAGING_PROVIDER || 'none').toLowerCase();
+if (!MESSAGING_PROVIDERS[MESSAGING_PROVIDER]) {
+  throw new Error(`Unknown MESSAGING_PROVIDER "${MESSAGING_PROVIDER}". Use one of: ${Object.keys(MESSAGING_PROVIDERS).join(', ')}`);
+}
+if (MESSAGING_PROVIDER === 'stub' && IS_PRODUCTION) {
+  throw new Error('MESSAGING_PROVIDER=stub drops every SMS and WhatsApp message and cannot be used in production');
+}
+
+const messagingProvider = MESSAGING_PROVIDERS[MESSAGING_PROVIDER]();
+
+if (messagingProvider.isConfigured()) {
+  console.log(`[Messaging] ✅ Using ${messagingProvider.name} provider for ${TEXT_CHANNELS.join(', ')} (${messagingProvider.service})`);
+  if (messagingProvider.name === 'stub') {
+    console.warn('[Messaging] ⚠️ Stub provider captures SMS and WhatsApp locally - nothing is delivered');
+  }
+} else if (messagingProvider.name === 'none') {
+  console.warn(`[Messaging] ⚠️ SMS and WhatsApp disabled. ${messagingProvider.configHint}`);
+} else {
+  console.error(`[Messaging] ❌ ${messagingProvider.name} provider not configured. ${messagingProvider.configHint}`);
+}
+
+/**
+ * Normalise a phone number to E.164 (+ and 8-15 digits); spaces, dashes, dots and brackets are ignored
+ * Returns: the normalised number, or null if it is not valid
+ */
+const normalizePhoneNumber = (value) => {
+  if (typeof value !== 'string') return null;
+  const compact = value.trim().replace(/[\s\-().]/g, '').replace(/^00/, '+');
+  return /^\+[1-9]\d{7,14}$/.test(compact) ? compact : null;
+};
+
+/**
+ * Read and validate the delivery channel fields of a request
+ * Body: { channel?: 'email' | 'sms' | 'whatsapp' (default email), phoneNumber? - required for sms and whatsapp }
+ * Returns: { channel, phoneNumber } or { error }
+ */
+const readChannelOptions = ({ channel, phoneNumber } = {}, defaultChannel = 'email') => {
+  const selected = channel == null || channel === '' ? defaultChannel : String(channel).toLowerCase();
+  if (!MESSAGE_CHANNELS.includes(selected)) {
+    return { error: `Invalid channel. Must be one of: ${MESSAGE_CHANNELS.join(', ')}` };
+  }
+  if (selected === 'email') {
+    return { channel: selected, phoneNumber: null };
+  }
+
+  if (!phoneNumber) {
+    return { error: `phoneNumber is required for ${selected}` };
+  }
+  const normalized = normalizePhoneNumber(phoneNumber);
+  if (!normalized) {
+    return { error: 'Invalid phoneNumber. Use international format, e.g. +447700900123' };
+  }
+  if (!messagingProvider.isConfigured()) {
+    return { error: `${selected} is not available`, details: messagingProvider.configHint };
+  }
+
+  return { channel: selected, phoneNumber: normalized };
+};
+
+/**
+ * Send a text message through the messaging provider
+ * Throws a MESSAGE_TOO_LONG error instead of sending text over the channel's limit
+ * Returns: { messageId }
+ */
+const sendTextMessage = async ({ channel, to, body }) => {
+  const length = [...body].length;
+  if (length > TEXT_CHANNEL_LIMITS[channel]) {
+    const err = new Error(`${channel} message is ${length} characters; the limit is ${TEXT_CHANNEL_LIMITS[channel]}`);
+    err.code = 'MESSAGE_TOO_LONG';
+    err.retryable = false;
+    throw err;
+  }
+
+  const info = await messagingProvider.send({ channel, to, body });
+  console.log(`[Messaging] ✅ ${channel} sent successfully (Message ID: ${info.messageId})`);
+  return { messageId: info.messageId };
+};
+
+// ============= EMAIL HELPER FUNCTIONS =============
+
+/**
+ * Generate a readable plain-text alternative from an HTML email
+ * Links keep their URL after the text; images and layout tables are flattened
+ */
+const htmlToPlainText = (html) => htmlToText(html, {
+  wordwrap: 78,
+  selectors: [
+    { selector: 'a', options: { hideLinkHrefIfSameAsText: true, linkBrackets: ['(', ')'] } },
+    { selector: 'img', format: 'skip' },
+    { selector: 'h1', options: { uppercase: false } },
+    { selector: 'p', options: { leadingLineBreaks: 2, trailingLineBreaks: 2 } },
+    { selector: 'table', format: 'block' },
+    { selector: 'tr', format: 'block' },
+    { selector: 'td', format: 'block' }
+  ]
+});
+
+/**
+ * Produce the final HTML and text parts for an outgoing email
+ * CSS from <style> blocks is inlined so Gmail and Outlook render it consistently;
+ * media queries and Outlook conditional comments are left in place
+ * Returns: { html, text }
+ */
+const prepareEmailContent = (html) => {
+  const inlined = juice(html, { preserveMediaQueries: true, preserveImportant: true });
+  return { html: inlined, text: htmlToPlainText(inlined) };
+};
+
+// ============= EMAIL RETRY POLICY =============
+// Transport errors are classified before retrying: timeouts, network errors, 408, 429 and 5xx (SMTP 4xx)
+// are retryable; any other rejection (invalid address, bad request, auth) is permanent and is not retried.
+// Consecutive retryable failures trip a circuit breaker so a provider outage fails fast instead of queueing
+// every request behind retries: closed -> open (for EMAIL_CIRCUIT_COOLDOWN_MS) -> half-open (one trial send) -> closed | open
+
+const EMAIL_RETRY_BASE_MS = 1000;
+const EMAIL_MAX_INLINE_WAIT_MS = 10 * 1000;
+const EMAIL_CIRCUIT_THRESHOLD = parseInt(process.env.EMAIL_CIRCUIT_THRESHOLD, 10) || 5;
+const EMAIL_CIRCUIT_COOLDOWN_MS = parseInt(process.env.EMAIL_CIRCUIT_COOLDOWN_MS, 10) || 60 * 1000;
+const RETRYABLE_NETWORK_CODES = new Set([
+  'ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE',
+  'ESOCKET', 'ECONNECTION'
+]);
+
+/**
+ * Randomise a delay between half and all of its value so retries from many senders spread out
+ */
+const withJitter = (ms) => Math.round(ms / 2 + Math.random() * ms / 2);
+
+/**
+ * Read a rate-limit wait from provider response headers
+ * Supports Retry-After (seconds or HTTP date) and Brevo's x-sib-ratelimit-reset (seconds)
+ * Returns: milliseconds to wait, or null
+ */
+const parseRetryAfterMs = (headers = {}) => {
+  const retryAfter = headers['retry-after'];
+  if (retryAfter !== undefined) {
+    const seconds = Number(retryAfter);
+    if (!isNaN(seconds)) return Math.max(seconds * 1000, 0);
+    const date = Date.parse(retryAfter);
+    if (!isNaN(date)) return Math.max(date - Date.now(), 0);
+  }
+
+  const reset = Number(headers['x-sib-ratelimit-reset']);
+  return isNaN(reset) ? null : Math.max(reset * 1000, 0);
+};
+
+/**
+ * Tag a transport error with err.retryable and err.retryAfterMs
+ */
+const classifySendError = (err) => {
+  const status = err.response?.status;
+  if (status) {
+    // HTTP provider (Brevo)
+    err.retryable = status === 408 || status === 429 || status >= 500;
+    err.retryAfterMs = parseRetryAfterMs(err.response.headers);
+  } else if (err.responseCode) {
+    // SMTP reply: 4xx is a temporary failure, 5xx is final
+    err.retryable = err.responseCode >= 400 && err.responseCode < 500;
+    err.retryAfterMs = null;
+  } else {
+    err.retryable = RETRYABLE_NETWORK_CODES.has(err.code);
+    err.retryAfterMs = null;
+  }
+  return err;
+};
+
+const emailCircuit = {
+  state: 'closed',
+  consecutiveFailures: 0,
+  openedAt: null,
+  trialInFlight: false
+};
+
+/**
+ * Current breaker state; an open breaker whose cooldown has elapsed reports half-open
+ * Returns: { state, consecutiveFailures, threshold, openedAt, retryAt }
+ */
+const getEmailCircuitStatus = () => {
+  const retryAt = emailCircuit.openedAt ? emailCircuit.openedAt + EMAIL_CIRCUIT_COOLDOWN_MS : null;
+  const state = emailCircuit.state === 'open' && Date.now() >= retryAt ? 'half-open' : emailCircuit.state;
+  return {
+    state,
+    consecutiveFailures: emailCircuit.consecutiveFailures,
+    threshold: EMAIL_CIRCUIT_THRESHOLD,
+    openedAt: emailCircuit.openedAt ? new Date(emailCircuit.openedAt).toISOString() : null,
+    retryAt: state === 'closed' ? null : new Date(retryAt).toISOString()
+  };
+};
+
+/**
+ * Error thrown instead of calling the provider while the breaker is open
+ */
+const circuitOpenError = () => {
+  const { retryAt } = getEmailCircuitStatus();
+  const err = new Error('Email provider unavailable - circuit breaker is open');
+  err.code = 'CIRCUIT_OPEN';
+  err.retryable = true;
+  err.retryAfterMs = Math.max(Date.parse(retryAt) - Date.now(), 1000);
+  return err;
+};
+
+/**
+ * True while sends are being rejected without reaching the provider
+ */
+const isEmailCircuitOpen = () => {
+  const { state } = getEmailCircuitStatus();
+  return state === 'open' || (state === 'half-open' && emailCircuit.trialInFlight);
+};
+
+/**
+ * Let a send through the breaker, or throw CIRCUIT_OPEN
+ * In half-open only one trial send is allowed at a time
+ */
+const acquireEmailCircuit = () => {
+  if (isEmailCircuitOpen()) throw circuitOpenError();
+  if (emailCircuit.state === 'open') emailCircuit.trialInFlight = true;
+};
+
+/**
+ * Feed a send outcome back into the breaker
+ * A permanent rejection still proves the provider is up, so only retryable failures count
+ */
+const recordEmailCircuitResult = (err) => {
+  const wasTrial = emailCircuit.trialInFlight;
+  emailCircuit.trialInFlight = false;
+
+  if (!err || !err.retryable) {
+    if (emailCircuit.state === 'open') {
+      console.log('[Email] ✅ Circuit breaker closed - provider is responding again');
+    }
+    emailCircuit.state = 'closed';
+    emailCircuit.consecutiveFailures = 0;
+    emailCircuit.openedAt = null;
+    return;
+  }
+
+  emailCircuit.consecutiveFailures++;
+  if (wasTrial || (emailCircuit.state === 'closed' && emailCircuit.consecutiveFailures >= EMAIL_CIRCUIT_THRESHOLD)) {
+    emailCircuit.state = 'open';
+    emailCircuit.openedAt = Date.now();
+    console.error(`[Email] ❌ Circuit breaker open after ${emailCircuit.consecutiveFailures} consecutive failures - failing fast for ${EMAIL_CIRCUIT_COOLDOWN_MS / 1000}s`);
+  }
+};
+
+/**
+ * Respond 503 for a send rejected by the circuit breaker, with a Retry-After header
+ */
+const sendCircuitOpen = (res) => {
+  const retryAfterSeconds = Math.ceil(circuitOpenError().retryAfterMs / 1000);
+  res.set('Retry-After', String(retryAfterSeconds));
+  return res.status(503).json({
+    error: 'Email provider unavailable',
+    details: 'Too many recent delivery failures - try again later',
+    circuitBreaker: getEmailCircuitStatus(),
+    retryAfterSeconds
+  });
+};
+
+/**
+ * Send email through the configured transport with automatic retry logic
+ * Retryable failures are retried up to maxRetries times with jittered exponential backoff (~1s, 2s, 4s),
+ * waiting at least as long as the provider's Retry-After. Permanent failures, waits longer than
+ * EMAIL_MAX_INLINE_WAIT_MS and an open circuit breaker are thrown straight away (err.retryable says which)
+ */
+const sendEmailWithRetry = async (mailOptions, maxRetries = 3) => {
+  // Normalize nodemailer-style options into a transport message
+  const message = {
+    from: {
+      name: EMAIL_CONFIG.fromName,
+      email: EMAIL_CONFIG.from
+    },
+    to: Array.isArray(mailOptions.to) ? mailOptions.to : [mailOptions.to],
+    subject: mailOptions.subject,
+    html: mailOptions.html || mailOptions.text,
+    // Never send markup as the text part
+    text: mailOptions.text || (mailOptions.html ? htmlToPlainText(mailOptions.html) : undefined),
+    headers: mailOptions.headers,
+    replyTo: mailOptions.replyTo
+  };
+  
+  for (let attempt = 1; ; attempt++) {
+    acquireEmailCircuit();
+
+    try {
+      const info = await emailTransport.send(message);
+      recordEmailCircuitResult(null);
+      
+      console.log(`[Email] ✅ Email sent successfully (Message ID: ${info.messageId})`);
+      return { messageId: info.messageId };
+    } catch (error) {
+      classifySendError(error);
+      recordEmailCircuitResult(error);
+
+      const errorMsg = error.response?.data?.message || error.message;
+      console.warn(`[Email] ⚠️ Attempt ${attempt} failed (${error.retryable ? 'retryable' : 'permanent'}): ${errorMsg}`);
+
+      if (!error.retryable || attempt >= maxRetries) throw error;
+
+      const delayMs = Math.max(withJitter(Math.pow(2, attempt - 1) * EMAIL_RETRY_BASE_MS), error.retryAfterMs || 0);
+      // Long rate-limit waits are left to the caller (the queue reschedules instead of holding a request open)
+      if (delayMs > EMAIL_MAX_INLINE_WAIT_MS) throw error;
+
+      await new Promise(resolve => setTimeout(resolve, delayMs));
+    }
+  }
+};
+
+// ============= IDEMPOTENCY KEYS =============
+// Send endpoints accept an Idempotency-Key header so a client retry (e.g. after a dashboard timeout)
+// gets the original response back instead of sending a second email. Keys are remembered in memory
+// for IDEMPOTENCY_TTL_MS per endpoint (shorter where the response goes stale sooner, e.g. OTP codes),
+// together with a hash of the request body:
+//   same key + same body  -> original status and body, with Idempotent-Replayed: true
+//   same key + other body -> 422
+//   same key while the first request is still running -> 409
+// Server errors (5xx) and 429s are not remembered, so retrying them runs the request again. A route can also
+// set res.locals.idempotencyReplayable = false to skip remembering a response, or
+// res.locals.idempotencyValidWhile = () => boolean to stop replaying it once it no longer holds.
+
+const IDEMPOTENCY_TTL_MS = parseInt(process.env.IDEMPOTENCY_TTL_MS, 10) || 24 * 60 * 60 * 1000;
+const IDEMPOTENCY_KEY_MAX_LENGTH = 255;
+
+// `${route}:${key}` -> { fingerprint, expiresAt, response: { status, body } | null }
+const idempotencyStore = new Map();
+
+/**
+ * JSON with object keys sorted, so the same body always hashes the same
+ */
+const stableStringify = (value) => {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+};
+
+setInterval(() => {
+  const now = Date.now();
+  for (const [key, entry] of idempotencyStore) {
+    if (entry.expiresAt <= now) idempotencyStore.delete(key);
+  }
+}, 10 * 60 * 1000).unref();
+
+/**
+ * Middleware factory: honour the Idempotency-Key header for a route, replaying responses for up to ttlMs
+ * Requests without the header are passed through unchanged
+ */
+const idempotentFor = (ttlMs) => (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (key === undefined) return next();
+
+  if (!key || key.length > IDEMPOTENCY_KEY_MAX_LENGTH) {
+    return res.status(400).json({ 
+      error: `Idempotency-Key must be 1-${IDEMPOTENCY_KEY_MAX_LENGTH} characters`
+    });
+  }
+
+  // Scoped to the caller so one user's key can never replay another user's response
+  const storeKey = `${req.method} ${req.path}:${req.auth ? req.auth.username : 'anonymous'}:${key}`;
+  const fingerprint = crypto.createHash('sha256').update(stableStringify(req.body || {})).digest('hex');
+  let existing = idempotencyStore.get(storeKey);
+
+  // The original response no longer holds (e.g. the code it reported was used up) - run the request again
+  if (existing?.response?.validWhile && !existing.response.validWhile()) {
+    idempotencyStore.delete(storeKey);
+    existing = null;
+  }
+
+  if (existing && existing.expiresAt > Date.now()) {
+    if (existing.fingerprint !== fingerprint) {
+      return res.status(422).json({ 
+        error: 'Idempotency-Key has already been used with a different request body'
+      });
+    }
+    if (!existing.response) {
+      res.set('Retry-After', '1');
+      return res.status(409).json({ 
+        error: 'A request with this Idempotency-Key is still in progress'
+      });
+    }
+
+    console.log(`[Idempotency] Replaying response for ${storeKey}`);
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(existing.response.status).json(existing.response.body);
+  }
+
+  const entry = { fingerprint, expiresAt: Date.now() + ttlMs, response: null };
+  idempotencyStore.set(storeKey, entry);
+
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode < 500 && res.statusCode !== 429 && res.locals.idempotencyReplayable !== false) {
+      entry.response = { status: res.statusCode, body, validWhile: res.locals.idempotencyValidWhile };
+    }
+    return json(body);
+  };
+
+  // Forget the key if the request ended without a response worth replaying
+  const release = () => {
+    if (!entry.response && idempotencyStore.get(storeKey) === entry) {
+      idempotencyStore.delete(storeKey);
+    }
+  };
+  res.on('finish', release);
+  res.on('close', release);
+
+  next();
+};
+
+const idempotent = idempotentFor(IDEMPOTENCY_TTL_MS);
+
+// ============= RATE LIMITING =============
+// Endpoints that send or check security codes are throttled per client IP and per account (the email or
+// username being targeted), each in a fixed window. Limits are set per route in RATE_LIMITS and can be
+// overridden with the RATE_LIMITS env var as JSON, e.g. {"otp-send":{"perAccount":3,"windowMs":3600000}}
+// (0 turns a limit off). Routes with a lockout scope also lock the account after LOCKOUT_THRESHOLD failed
+// codes. A caller signed in as that account locks it everywhere; anyone else only locks it for their own IP,
+// so strangers cannot lock a user out of their codes. The first lockout lasts LOCKOUT_BASE_MS and each
+// further one doubles, up to LOCKOUT_MAX_MS, until the account has gone LOCKOUT_DECAY_MS without a
+// failure. Refusals are 429s with Retry-After, and every limited response carries RateLimit-Limit /
+// RateLimit-Remaining / RateLimit-Reset (seconds).
+// Counters are held in memory, so they are per instance and reset on restart.
+
+const RATE_LIMITS = {
+  'otp-send': { windowMs: 15 * 60 * 1000, perIp: 20, perAccount: 5 },
+  'otp-verify': { windowMs: 15 * 60 * 1000, perIp: 30, perAccount: 10, lockout: 'otp' },
+  'password-reset': { windowMs: 15 * 60 * 1000, perIp: 20, perAccount: 10, lockout: 'otp' },
+  '2fa-login': { windowMs: 15 * 60 * 1000, perIp: 30, perAccount: 10, lockout: '2fa' }
+};
+
+if (process.env.RATE_LIMITS) {
+  try {
+    for (const [route, limits] of Object.entries(JSON.parse(process.env.RATE_LIMITS))) {
+      if (!RATE_LIMITS[route]) {
+        console.warn(`[RateLimit] ⚠️ Unknown route "${route}" in RATE_LIMITS - ignored`);
+        continue;
+      }
+      Object.assign(RATE_LIMITS[route], limits);
+    }
+  } catch (err) {
+    console.warn(`[RateLimit] ⚠️ RATE_LIMITS is not valid JSON - using defaults: ${err.message}`);
+  }
+}
+
+const LOCKOUT_THRESHOLD = parseInt(process.env.LOCKOUT_THRESHOLD, 10) || 10;
+const LOCKOUT_BASE_MS = parseInt(process.env.LOCKOUT_BASE_MS, 10) || 5 * 60 * 1000;
+const LOCKOUT_MAX_MS = parseInt(process.env.LOCKOUT_MAX_MS, 10) || 24 * 60 * 60 * 1000;
+const LOCKOUT_DECAY_MS = parseInt(process.env.LOCKOUT_DECAY_MS, 10) || 24 * 60 * 60 * 1000;
+
+// `${route}:ip:${ip}` | `${route}:account:${account}` -> { count, resetAt }
+const rateLimitBuckets = new Map();
+
+// `${scope}:${account}` (caller signed in as the account) | `${scope}:${account}:${ip}` -> { failures, level, lockedUntil, lastFailureAt }
+const accountLockouts = new Map();
+
+const isLockoutStale = (entry, now) => entry.lockedUntil <= now && entry.lastFailureAt + LOCKOUT_DECAY_MS <= now;
+
+setInterval(() => {
+  const now = Date.now();
+  for (const [key, bucket] of rateLimitBuckets) {
+    if (bucket.resetAt <= now) rateLimitBuckets.delete(key);
+  }
+  for (const [key, entry] of accountLockouts) {
+    if (isLockoutStale(entry, now)) accountLockouts.delete(key);
+  }
+}, 10 * 60 * 1000).unref();
+
+const secondsUntil = (time) => Math.max(Math.ceil((time - Date.now()) / 1000), 1);
+
+const describeWait = (seconds) => seconds < 60 ? `${seconds} seconds` : `${Math.ceil(seconds / 60)} minutes`;
+
+/**
+ * Count a request against a fixed-window bucket
+ * Returns: { limit, remaining, resetAt, exceeded }
+ */
+const hitRateLimitBucket = (key, limit, windowMs) => {
+  const now = Date.now();
+  let bucket = rateLimitBuckets.get(key);
+  if (!bucket || bucket.resetAt <= now) {
+    bucket = { count: 0, resetAt: now + windowMs };
+    rateLimitBuckets.set(key, bucket);
+  }
+  bucket.count++;
+
+  return {
+    limit,
+    remaining: Math.max(limit - bucket.count, 0),
+    resetAt: bucket.resetAt,
+    exceeded: bucket.count > limit
+  };
+};
+
+/**
+ * Middleware factory: apply RATE_LIMITS[route] to a request
+ * accountOf(req) returns the normalised account being targeted (or null). On routes with a lockout scope,
+ * locked accounts are refused and req.rateLimit.lockoutKey is set for recordFailedAttempt / clearFailedAttempts;
+ * the lockout covers the whole account only when the caller is signed in as it (username or email)
+ */
+const rateLimit = (route, accountOf) => (req, res, next) => {
+  const config = RATE_LIMITS[route];
+  const account = accountOf ? accountOf(req) : null;
+  const isOwnAccount = Boolean(req.auth) && [req.auth.username, req.auth.email].some(name => name && name.toLowerCase() === account);
+  const lockoutKey = config.lockout && account
+    ? (isOwnAccount ? `${config.lockout}:${account}` : `${config.lockout}:${account}:${req.ip}`)
+    : null;
+  req.rateLimit = { route, lockoutKey };
+
+  const lockout = lockoutKey && accountLockouts.get(lockoutKey);
+  if (lockout && lockout.lockedUntil > Date.now()) {
+    const retryAfter = secondsUntil(lockout.lockedUntil);
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({ 
+      success: false,
+      error: 'Account temporarily locked',
+      code: 'ACCOUNT_LOCKED',
+      message: `Too many failed attempts. Try again in ${describeWait(retryAfter)}.`,
+      retryAfterSeconds: retryAfter
+    });
+  }
+
+  const buckets = [];
+  if (config.perIp) {
+    buckets.push(hitRateLimitBucket(`${route}:ip:${req.ip}`, config.perIp, config.windowMs));
+  }
+  if (config.perAccount && account) {
+    buckets.push(hitRateLimitBucket(`${route}:account:${account}`, config.perAccount, config.windowMs));
+  }
+  if (!buckets.length) return next();
+
+  // Report the limit that was hit (the longest wait if both were), otherwise the one with least room left
+  const exceeded = buckets.filter(bucket => bucket.exceeded);
+  const reported = exceeded.length
+    ? exceeded.reduce((a, b) => (b.resetAt > a.resetAt ? b : a))
+    : buckets.reduce((a, b) => (b.remaining < a.remaining ? b : a));
+  const resetSeconds = secondsUntil(reported.resetAt);
+
+  res.set({
+    'RateLimit-Limit': String(reported.limit),
+    'RateLimit-Remaining': String(reported.remaining),
+    'RateLimit-Reset': String(resetSeconds)
+  });
+
+  if (exceeded.length) {
+    console.warn(`[RateLimit] ⚠️ ${route} limit hit (ip ${req.ip}${account ? `, account ${account}` : ''})`);
+    res.set('Retry-After', String(resetSeconds));
+    return res.status(429).json({ 
+      success: false,
+      error: 'Too many requests',
+      code: 'RATE_LIMITED',
+      message: `Too many attempts. Try again in ${describeWait(resetSeconds)}.`,
+      retryAfterSeconds: resetSeconds
+    });
+  }
+
+  next();
+};
+
+/**
+ * Record a failed code against the account of a rate-limited request, locking it at LOCKOUT_THRESHOLD
+ * Lockouts escalate: LOCKOUT_BASE_MS, then double each time, capped at LOCKOUT_MAX_MS
+ */
+const recordFailedAttempt = (req) => {
+  const lockoutKey = req.rateLimit && req.rateLimit.lockoutKey;
+  if (!lockoutKey) return;
+
+  const now = Date.now();
+  let entry = accountLockouts.get(lockoutKey);
+  if (!entry || isLockoutStale(entry, now)) {
+    entry = { failures: 0, level: 0, lockedUntil: 0, lastFailureAt: 0 };
+    accountLockouts.set(lockoutKey, entry);
+  }
+
+  entry.failures++;
+  entry.lastFailureAt = now;
+  if (entry.failures < LOCKOUT_THRESHOLD) return;
+
+  const durationMs = Math.min(LOCKOUT_BASE_MS * Math.pow(2, entry.level), LOCKOUT_MAX_MS);
+  entry.level++;
+  entry.failures = 0;
+  entry.lockedUntil = now + durationMs;
+  console.warn(`[RateLimit] 🔒 Locked ${lockoutKey} for ${describeWait(Math.ceil(durationMs / 1000))} after ${LOCKOUT_THRESHOLD} failed attempts`);
+};
+
+/**
+ * Forget failed codes once the account has passed verification
+ */
+const clearFailedAttempts = (req) => {
+  if (req.rateLimit && req.rateLimit.lockoutKey) {
+    accountLockouts.delete(req.rateLimit.lockoutKey);
+  }
+};
+
+// ============= SIGNED TOKENS =============
+
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/$/, '');
+
+const UNSUBSCRIBE_SECRET = process.env.UNSUBSCRIBE_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.UNSUBSCRIBE_SECRET) {
+  console.warn('[Tokens] ⚠️ UNSUBSCRIBE_SECRET not set - unsubscribe links will stop working after a restart');
+}
+
+const toBase64Url = (buffer) => buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+const fromBase64Url = (value) => Buffer.from(value.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+
+/**
+ * Sign a JSON payload as `<payload>.<hmac>` (both base64url)
+ */
+const signToken = (payload, secret) => {
+  const body = toBase64Url(Buffer.from(JSON.stringify(payload)));
+  const signature = toBase64Url(crypto.createHmac('sha256', secret).update(body).digest());
+  return `${body}.${signature}`;
+};
+
+/**
+ * Compare a secret supplied by a caller with the configured one in constant time
+ */
+const secretMatches = (provided, expected) => {
+  const a = Buffer.from(String(provided || ''));
+  const b = Buffer.from(String(expected));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+/**
+ * Verify a token from signToken
+ * Returns: the payload, or null if the token is malformed or the signature does not match
+ */
+const verifyToken = (token, secret) => {
+  if (typeof token !== 'string') return null;
+
+  const [body, signature] = token.split('.');
+  if (!body || !signature) return null;
+
+  const expected = crypto.createHmac('sha256', secret).update(body).digest();
+  const actual = fromBase64Url(signature);
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(fromBase64Url(body).toString('utf8'));
+  } catch (err) {
+    return null;
+  }
+};
+
+/**
+ * Build the per-recipient unsubscribe URL embedded in every nudge
+ */
+const buildUnsubscribeUrl = (recipientEmail, partnerId) => {
+  const token = signToken({ purpose: 'unsubscribe', email: recipientEmail.toLowerCase(), partnerId: partnerId || null }, UNSUBSCRIBE_SECRET);
+  return `${PUBLIC_BASE_URL}/unsubscribe/${token}`;
+};
+
+// Tracked links: outbound links in a sent nudge are rewritten to GET /r/:token, which records the click
+// and forwards to the original URL with UTM and referral parameters
+const LINK_TRACKING_SECRET = process.env.LINK_TRACKING_SECRET || UNSUBSCRIBE_SECRET;
+const LINK_UTM_SOURCE = process.env.LINK_UTM_SOURCE || 'nommia_partner';
+const LINK_UTM_MEDIUM = 'email';
+const LINK_REFERRAL_PARAM = process.env.LINK_REFERRAL_PARAM || 'ref';
+
+/**
+ * Build a signed redirect URL for one outbound link of a nudge
+ */
+const buildTrackedUrl = (url, { trackingId, partnerId, campaign }) => {
+  const token = signToken({ purpose: 'click', url, trackingId, partnerId: partnerId || null, campaign }, LINK_TRACKING_SECRET);
+  return `${PUBLIC_BASE_URL}/r/${token}`;
+};
+
+/**
+ * Rewrite every external http(s) anchor in rendered HTML to a tracked redirect
+ * Links back to this server (unsubscribe) and non-anchor hrefs (stylesheets) are left alone
+ */
+const rewriteTrackedLinks = (html, context) => html.replace(/(<a\b[^>]*?\shref=")(https?:\/\/[^"]+)"/gi, (match, prefix, href) => {
+  const url = href.replace(/&quot;/g, '"').replace(/&#39;/g, "'").replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+  if (url.startsWith(`${PUBLIC_BASE_URL}/`)) return match;
+  return `${prefix}${escapeHtml(buildTrackedUrl(url, context))}"`;
+});
+
+/**
+ * Add UTM and referral parameters to a destination URL without overriding ones already set
+ */
+const addTrackingParams = (url, { partnerId, campaign }) => {
+  const target = new URL(url);
+  const params = {
+    utm_source: LINK_UTM_SOURCE,
+    utm_medium: LINK_UTM_MEDIUM,
+    utm_campaign: campaign,
+    [LINK_REFERRAL_PARAM]: partnerId
+  };
+
+  for (const [key, value] of Object.entries(params)) {
+    if (value && !target.searchParams.has(key)) target.searchParams.set(key, value);
+  }
+
+  return target.toString();
+};
+
+// ============= AUTHENTICATION =============
+// Dashboard routes take "Authorization: Bearer <token>" and resolve it to the caller's identity
+// (req.auth = { username, partnerId, email, source }). Two kinds of token are accepted:
+//   session - signed by this backend with SESSION_SECRET (signToken format, typ 'session', exp in seconds)
+//   xvalley - an XValley access token, checked by fetching XVALLEY_PROFILE_URL with it; valid profiles
+//             are cached for XVALLEY_TOKEN_CACHE_MS so a page load does not hit XValley once per request
+// Partner-scoped routes then add requirePartnerAccess (partnerId in the path or body must be the caller's)
+// or requireUserAccess (username in the body must be the caller's).
+// Sessions are started by 2FA login verification and OTP verification, so their tokens carry an mfa claim
+// (mfaAt = when the second factor was passed, mfaMethod = totp | otp); requireRecentMfa() guards routes that
+// need a fresh one, and only accepts totp from users who have 2FA enabled.
+// A session is an access token (SESSION_TTL_SECONDS) plus a single-use refresh token that rotates on every
+// refresh, within an absolute SESSION_MAX_AGE_SECONDS. Sessions are held in memory: a token is only valid
+// while its session exists, so revocation takes effect at once and a restart signs everyone out.
+
+const SESSION_SECRET = process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.SESSION_SECRET) {
+  console.warn('[Auth] ⚠️ SESSION_SECRET not set - sessions will not survive a restart');
+}
+
+const SESSION_TTL_SECONDS = parseInt(process.env.SESSION_TTL_SECONDS, 10) || 15 * 60;
+const SESSION_MAX_AGE_SECONDS = parseInt(process.env.SESSION_MAX_AGE_SECONDS, 10) || 7 * 24 * 60 * 60;
+const MFA_RECENT_SECONDS = parseInt(process.env.MFA_RECENT_SECONDS, 10) || 15 * 60;
+
+const XVALLEY_PROFILE_URL = process.env.XVALLEY_PROFILE_URL;
+const XVALLEY_TOKEN_CACHE_MS = parseInt(process.env.XVALLEY_TOKEN_CACHE_MS, 10) || 60 * 1000;
+// Sessions are only started for callers who already hold an XValley token, so without it nobody can sign in:
+// authenticated routes answer 503, and the rest (unsubscribe, webhooks, health) still work
+if (!XVALLEY_PROFILE_URL) {
+  console.warn('[Auth] ⚠️ XVALLEY_PROFILE_URL not set - authenticated routes will return 503');
+}
+
+// sha256(token) -> { identity, expiresAt }
+const xvalleyTokenCache = new Map();
+
+// session id -> { username, partnerId, email, mfaAt, mfaMethod, refreshId, expiresAt }
+const authSessions = new Map();
+
+setInterval(() => {
+  const now = Date.now();
+  for (const store of [xvalleyTokenCache, authSessions]) {
+    for (const [key, entry] of store) {
+      if (entry.expiresAt <= now) store.delete(key);
+    }
+  }
+}, 10 * 60 * 1000).unref();
+
+/**
+ * Sign a fresh access token and rotate the refresh token of a session
+ * Returns: { tokenType, accessToken, expiresAt, refreshToken, refreshExpiresAt }
+ */
+const issueSessionTokens = (sid, session) => {
+  const now = Math.floor(Date.now() / 1000);
+  const exp = Math.min(now + SESSION_TTL_SECONDS, Math.floor(session.expiresAt / 1000));
+  session.refreshId = crypto.randomUUID();
+
+  const accessToken = signToken({
+    typ: 'session',
+    sid,
+    sub: session.username,
+    partnerId: session.partnerId,
+    email: session.email,
+    mfa: Boolean(session.mfaAt),
+    mfaAt: session.mfaAt ? Math.floor(session.mfaAt / 1000) : null,
+    mfaMethod: session.mfaMethod || null,
+    iat: now,
+    exp
+  }, SESSION_SECRET);
+  const refreshToken = signToken({ typ: 'refresh', sid, jti: session.refreshId, exp: Math.floor(session.expiresAt / 1000) }, SESSION_SECRET);
+
+  return {
+    tokenType: 'Bearer',
+    accessToken,
+    expiresAt: new Date(exp * 1000).toISOString(),
+    refreshToken,
+    refreshExpiresAt: new Date(session.expiresAt).toISOString()
+  };
+};
+
+/**
+ * Start a session for a caller who has just passed a second factor
+ * Returns: the session tokens (see issueSessionTokens)
+ */
+const startMfaSession = ({ username, partnerId, email }, method) => {
+  const sid = crypto.randomUUID();
+  const session = {
+    username,
+    partnerId: partnerId || null,
+    email: email || null,
+    mfaAt: Date.now(),
+    mfaMethod: method,
+    refreshId: null,
+    expiresAt: Date.now() + SESSION_MAX_AGE_SECONDS * 1000
+  };
+  authSessions.set(sid, session);
+
+  console.log(`[Auth] ✅ Session started for ${username} (${method})`);
+  return issueSessionTokens(sid, session);
+};
+
+/**
+ * End one session, or every session of a user
+ * Returns: the number of sessions ended
+ */
+const revokeSessions = ({ sid, username }) => {
+  if (sid) return authSessions.delete(sid) ? 1 : 0;
+
+  let revoked = 0;
+  for (const [key, session] of authSessions) {
+    if (session.username.toLowerCase() === username.toLowerCase()) {
+      authSessions.delete(key);
+      revoked++;
+    }
+  }
+  return revoked;
+};
+
+/**
+ * Identity from a session token issued by this backend
+ * Returns: { username, partnerId, email, source, claims } or null if the token is not valid, has expired
+ * or belongs to a session that has been revoked
+ */
+const verifySessionToken = (token) => {
+  const claims = verifyToken(token, SESSION_SECRET);
+  if (!claims || claims.typ !== 'session' || !claims.sid) return null;
+  if (!claims.exp || claims.exp * 1000 <= Date.now()) return null;
+
+  const session = authSessions.get(claims.sid);
+  if (!session || session.expiresAt <= Date.now()) return null;
+
+  return {
+    username: session.username,
+    partnerId: session.partnerId != null ? String(session.partnerId) : null,
+    email: session.email,
+    source: 'session',
+    claims
+  };
+};
+
+/**
+ * Identity from an XValley access token, via the XValley profile endpoint
+ * Returns: the identity, or null if XValley rejects the token
+ * Throws if XValley cannot be reached, so an outage is not reported as a bad token
+ */
+const verifyXValleyToken = async (token) => {
+  const cacheKey = crypto.createHash('sha256').update(token).digest('hex');
+  const cached = xvalleyTokenCache.get(cacheKey);
+  if (cached && cached.expiresAt > Date.now()) return cached.identity;
+
+  let profile;
+  try {
+    const response = await axios.get(XVALLEY_PROFILE_URL, {
+      headers: { 'accept': 'application/json', 'Authorization': `Bearer ${token}` },
+      timeout: 5000
+    });
+    profile = response.data?.data || response.data;
+  } catch (err) {
+    if ([400, 401, 403].includes(err.response?.status)) return null;
+    throw err;
+  }
+
+  const username = profile?.username || profile?.userName || profile?.email;
+  if (!username) return null;
+
+  // Only an explicit partner id counts - the XValley user id is a different namespace
+  const partnerId = profile.partnerId ?? profile.partner_id;
+  const identity = {
+    username: String(username),
+    partnerId: partnerId != null ? String(partnerId) : null,
+    email: profile.email || null,
+    source: 'xvalley'
+  };
+
+  xvalleyTokenCache.set(cacheKey, { identity, expiresAt: Date.now() + XVALLEY_TOKEN_CACHE_MS });
+  return identity;
+};
+
+/**
+ * Middleware: require a valid bearer token and set req.auth
+ * With optional=true a request without an Authorization header is passed on with no req.auth
+ */
+const authenticate = (optional) => async (req, res, next) => {
+  const token = (req.get('Authorization') || '').replace(/^Bearer\s+/i, '').trim();
+  if (!token && optional) return next();
+  if (!XVALLEY_PROFILE_URL) {
+    return res.status(503).json({ 
+      error: 'Authentication service unavailable',
+      details: 'XVALLEY_PROFILE_URL is not configured'
+    });
+  }
+  if (!token) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({ 
+      error: 'Authentication required',
+      details: 'Send Authorization: Bearer <token>'
+    });
+  }
+
+  try {
+    const identity = verifySessionToken(token) || await verifyXValleyToken(token);
+    if (!identity) {
+      res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+      return res.status(401).json({ 
+        error: 'Invalid or expired token'
+      });
+    }
+
+    req.auth = identity;
+    next();
+  } catch (err) {
+    console.error('[Auth] ❌ Token check failed:', err.message);
+    res.status(503).json({ 
+      error: 'Authentication service unavailable',
+      details: err.message
+    });
+  }
+};
+
+const requireAuth = authenticate(false);
+const optionalAuth = authenticate(true);
+
+/**
+ * Whether a user has turned on authenticator-app 2FA
+ * Throws if the lookup fails, so callers can refuse rather than guess
+ */
+const isTotpEnabled = async (username) => {
+  if (!supabase) return false;
+
+  const { data, error } = await supabase
+    .from('user_2fa')
+    .select('enabled')
+    .eq('username', username)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to check 2FA status: ${error.message}`);
+  }
+  return Boolean(data && data.enabled === true);
+};
+
+/**
+ * Middleware factory (after requireAuth): require a session whose second factor was passed
+ * within the last maxAgeSeconds (default MFA_RECENT_SECONDS)
+ * Users with 2FA enabled must have passed it with their authenticator - an email code is not enough,
+ * or anyone with access to the mailbox could turn 2FA off
+ */
+const requireRecentMfa = (maxAgeSeconds = MFA_RECENT_SECONDS) => async (req, res, next) => {
+  const claims = req.auth.claims;
+  const mfaAgeSeconds = claims?.mfa && claims.mfaAt ? Math.floor(Date.now() / 1000) - claims.mfaAt : null;
+
+  const rejectMfa = (message) => {
+    res.set('WWW-Authenticate', `Bearer error="insufficient_user_authentication", max_age=${maxAgeSeconds}`);
+    return res.status(401).json({ 
+      success: false,
+      error: 'Recent two-factor verification required',
+      code: 'MFA_REQUIRED',
+      message,
+      maxAgeSeconds
+    });
+  };
+
+  if (mfaAgeSeconds === null || mfaAgeSeconds > maxAgeSeconds) {
+    return rejectMfa('Verify with your authenticator app or a security code, then retry with the new session token');
+  }
+
+  if (claims.mfaMethod !== 'totp') {
+    try {
+      if (await isTotpEnabled(req.auth.username)) {
+        return rejectMfa('Verify with your authenticator app, then retry with the new session token');
+      }
+    } catch (err) {
+      console.error('[Auth] ❌ 2FA status check failed:', err.message);
+      return res.status(503).json({ 
+        error: 'Could not verify two-factor status',
+        details: err.message
+      });
+    }
+  }
+
+  next();
+};
+
+/**
+ * Middleware (after requireAuth): the caller must have a partner account, and the partnerId in the path,
+ * or else the body, must be theirs
+ * Requests without a partnerId are passed on so the route can report the missing field
+ */
+const requirePartnerAccess = (req, res, next) => {
+  if (!req.auth.partnerId) {
+    console.warn(`[Auth] ⚠️ ${req.auth.username} has no partner account (${req.method} ${req.path})`);
+    return res.status(403).json({ 
+      error: 'Forbidden',
+      details: 'No partner account is linked to this login'
+    });
+  }
+
+  const partnerId = req.params.partnerId ?? req.body?.partnerId;
+  if (partnerId == null || partnerId === '') return next();
+
+  if (String(partnerId) !== req.auth.partnerId) {
+    console.warn(`[Auth] ⚠️ ${req.auth.username} denied access to partner ${partnerId} (${req.method} ${req.path})`);
+    return res.status(403).json({ 
+      error: 'Forbidden',
+      details: 'You can only access your own partner account'
+    });
+  }
+
+  next();
+};
+
+/**
+ * Middleware (after requireAuth): the username in the body must be the caller's
+ */
+const requireUserAccess = (req, res, next) => {
+  const { username } = req.body || {};
+  if (username == null || username === '') return next();
+
+  if (String(username).trim().toLowerCase() !== req.auth.username.toLowerCase()) {
+    console.warn(`[Auth] ⚠️ ${req.auth.username} denied access to user ${username} (${req.method} ${req.path})`);
+    return res.status(403).json({ 
+      success: false,
+      error: 'Forbidden',
+      message: 'You can only manage your own account'
+    });
+  }
+
+  next();
+};
+
+/**
+ * POST /api/auth/refresh
+ * Exchange a refresh token for a new access token and refresh token
+ * Each refresh token works once; presenting a used one ends the session, since it means the token was copied
+ * Body: { refreshToken }
+ * Returns: { success, session: { tokenType, accessToken, expiresAt, refreshToken, refreshExpiresAt } }
+ */
+app.post('/api/auth/refresh', (req, res) => {
+  try {
+    const claims = verifyToken(req.body.refreshToken, SESSION_SECRET);
+    const session = claims && claims.typ === 'refresh' ? authSessions.get(claims.sid) : null;
+
+    if (!session || !claims.exp || claims.exp * 1000 <= Date.now() || session.expiresAt <= Date.now()) {
+      return res.status(401).json({ 
+        success: false,
+        error: 'Invalid or expired refresh token'
+      });
+    }
+
+    if (claims.jti !== session.refreshId) {
+      revokeSessions({ sid: claims.sid });
+      console.warn(`[Auth] ⚠️ Refresh token reused for ${session.username} - session revoked`);
+      return res.status(401).json({ 
+        success: false,
+        error: 'Refresh token has already been used. Please sign in again'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      session: issueSessionTokens(claims.sid, session)
+    });
+  } catch (err) {
+    console.error('[Auth] ❌ Error:', err.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      details: err.message
+    });
+  }
+});
+
+/**
+ * POST /api/auth/revoke
+ * Sign out: end the session of the bearer token or of the given refresh token,
+ * or with all=true (bearer token required) every session of the caller
+ * Body: { refreshToken?, all? }
+ * Returns: { success, revoked }
+ */
+app.post('/api/auth/revoke', optionalAuth, (req, res) => {
+  try {
+    const { refreshToken, all } = req.body;
+
+    if (all === true) {
+      if (!req.auth) {
+        return res.status(401).json({ 
+          error: 'Authentication required',
+          details: 'Send Authorization: Bearer <token> to end all sessions'
+        });
+      }
+
+      const revoked = revokeSessions({ username: req.auth.username });
+      console.log(`[Auth] ✅ Ended ${revoked} session(s) for ${req.auth.username}`);
+      return res.status(200).json({ success: true, revoked });
+    }
+
+    const refreshClaims = refreshToken ? verifyToken(refreshToken, SESSION_SECRET) : null;
+    const sid = req.auth?.claims?.sid || (refreshClaims?.typ === 'refresh' ? refreshClaims.sid : null);
+    if (!sid) {
+      return res.status(400).json({ 
+        error: 'Send a session bearer token or refreshToken'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      revoked: revokeSessions({ sid })
+    });
+  } catch (err) {
+    console.error('[Auth] ❌ Error:', err.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      details: err.message
+    });
+  }
+});
+
+// ============= EMAIL TEMPLATES =============
+// Templates are files under templates/:
+//   layout.html          - shared document shell, renders {{{body}}}
+//   partials/<name>.html - reusable blocks, included with {{> name}}
+//   nudges/<id>.html     - one body per nudge type, with a front-matter block (name, subject, title, description)
+// {{name}} is HTML-escaped, {{{name}}} is inserted raw and is reserved for markup this server produces.
+// Translations sit next to the English file as <id>.<locale>.html (front-matter: subject, title) and
+// partials/<name>.<locale>.html. Anything without a translation falls back to English.
+// Tier rules live in tiers.json: each tier adds variables (tierName, nextTierName and its own values) and
+// can override any partial as partials/<name>.<tier>.html or <name>.<tier>.<locale>.html, falling back
+// through the tiers it inherits from. A nudge can be limited to some tiers with a `tiers:` front-matter line.
+// SMS and WhatsApp copy is plain text in sms/<id>.txt and whatsapp/<id>.txt (plus <id>.<locale>.txt), where <id>
+// is the nudge's file id or `otp`. Text templates take variables but no partials, and are never escaped.
+
+const TEMPLATES_DIR = path.join(__dirname, 'templates');
+const TEMPLATE_TAG = /\{\{\{\s*([\w-]+)\s*\}\}\}|\{\{\s*(>?)\s*([\w-]+)\s*\}\}/g;
+const MAX_PARTIAL_DEPTH = 5;
+
+const DEFAULT_LOCALE = 'en';
+const RTL_LOCALES = ['ar', 'fa', 'he', 'ur'];
+
+// Filled in by the send pipeline rather than by the caller
+const SYSTEM_TEMPLATE_VARIABLES = ['title', 'body', 'unsubscribeUrl', 'lang', 'dir', 'personalNote', 'partnerSignature'];
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Split a template file into its front-matter fields and body
+ */
+const parseTemplateFile = (source) => {
+  const match = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?/.exec(source);
+  if (!match) return { meta: {}, body: source };
+
+  const meta = {};
+  for (const line of match[1].split(/\r?\n/)) {
+    const separator = line.indexOf(':');
+    if (separator > 0) {
+      meta[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+    }
+  }
+
+  return { meta, body: source.slice(match[0].length) };
+};
+
+const readTemplateDir = (dir, extension = '.html') => fs.readdirSync(path.join(TEMPLATES_DIR, dir))
+  .filter(file => file.endsWith(extension))
+  .map(file => ({ id: path.basename(file, extension), source: fs.readFileSync(path.join(TEMPLATES_DIR, dir, file), 'utf8') }));
+
+const templatePartials = Object.fromEntries(readTemplateDir('partials').map(({ id, source }) => [id, source.replace(/\r?\n$/, '')]));
+const templateLayout = fs.readFileSync(path.join(TEMPLATES_DIR, 'layout.html'), 'utf8');
+
+/**
+ * Load and check tiers.json: the default tier and every inherits/upgradeTo target must exist,
+ * and inheritance must not loop
+ */
+const loadTierConfig = () => {
+  const config = JSON.parse(fs.readFileSync(path.join(TEMPLATES_DIR, 'tiers.json'), 'utf8'));
+  const tiers = config.tiers || {};
+
+  if (!tiers[config.defaultTier]) {
+    throw new Error(`tiers.json: defaultTier "${config.defaultTier}" is not defined`);
+  }
+
+  const aliases = {};
+  for (const [key, tier] of Object.entries(tiers)) {
+    for (const field of ['inherits', 'upgradeTo']) {
+      if (tier[field] && !tiers[tier[field]]) {
+        throw new Error(`tiers.json: ${key}.${field} points to unknown tier "${tier[field]}"`);
+      }
+    }
+
+    const seen = new Set([key]);
+    for (let parent = tier.inherits; parent; parent = tiers[parent].inherits) {
+      if (seen.has(parent)) throw new Error(`tiers.json: inheritance loop at "${key}"`);
+      seen.add(parent);
+    }
+
+    for (const name of [key, tier.label, ...(tier.aliases || [])]) {
+      if (name) aliases[String(name).trim().toLowerCase()] = key;
+    }
+  }
+
+  return { defaultTier: config.defaultTier, tiers, aliases };
+};
+
+const tierConfig = loadTierConfig();
+
+// Filled in from tiers.json rather than by the caller
+const TIER_TEMPLATE_VARIABLES = new Set(['tierName', 'nextTierName',
+  ...Object.values(tierConfig.tiers).flatMap(tier => Object.keys(tier.variables || {}))]);
+
+/**
+ * Explain why a requested tier is not recognised, or null if it is (a missing tier means the default)
+ */
+const findUnknownTier = (tier) => {
+  if (tier == null || tier === '' || tierConfig.aliases[String(tier).trim().toLowerCase()]) return null;
+  const names = Object.entries(tierConfig.tiers).map(([key, config]) => config.label || key);
+  return `Unknown tier "${tier}". Must be one of: ${names.join(', ')}`;
+};
+
+/**
+ * Map a request's tier (key, label or alias, any case) to its tiers.json entry; a missing tier uses the default
+ * Throws for tiers that are not in tiers.json (check requests with findUnknownTier first)
+ * Returns: { key, label, chain, variables } - chain is the tier followed by the tiers it inherits from
+ */
+const resolveTier = (tier) => {
+  const unknown = findUnknownTier(tier);
+  if (unknown) throw new Error(unknown);
+
+  const key = tier == null || tier === '' ? tierConfig.defaultTier : tierConfig.aliases[String(tier).trim().toLowerCase()];
+
+  const chain = [];
+  for (let current = key; current; current = tierConfig.tiers[current].inherits) {
+    chain.push(current);
+  }
+
+  const config = tierConfig.tiers[key];
+  const variables = Object.assign({}, ...chain.slice().reverse().map(current => tierConfig.tiers[current].variables || {}), {
+    tierName: config.label || key,
+    nextTierName: config.upgradeTo ? (tierConfig.tiers[config.upgradeTo].label || config.upgradeTo) : null
+  });
+
+  return { key, label: config.label || key, chain, variables };
+};
+
+/**
+ * Find a partial for the requested locale and tier chain
+ * Locale wins over tier: a Spanish reader gets the generic Spanish block before an English tier block
+ * Regional locales use their base language's partials ('es-mx' reads the 'es' blocks)
+ */
+const resolvePartial = (name, locale, tiers = []) => {
+  const normalized = String(locale || DEFAULT_LOCALE).toLowerCase();
+  for (const candidate of new Set([normalized, normalized.split('-')[0], DEFAULT_LOCALE])) {
+    for (const tier of tiers) {
+      const partial = templatePartials[`${name}.${tier}.${candidate}`] ?? (candidate === DEFAULT_LOCALE ? templatePartials[`${name}.${tier}`] : undefined);
+      if (partial !== undefined) return partial;
+    }
+    const partial = candidate === DEFAULT_LOCALE ? templatePartials[name] : templatePartials[`${name}.${candidate}`];
+    if (partial !== undefined) return partial;
+  }
+  throw new Error(`Unknown template partial: ${name}`);
+};
+
+/**
+ * List every variable a template source uses, following partials and every tier's version of them
+ */
+const collectTemplateVariables = (source, locale, variables = new Set(), depth = 0) => {
+  for (const [, raw, isPartial, name] of source.matchAll(TEMPLATE_TAG)) {
+    if (raw) {
+      variables.add(raw);
+    } else if (isPartial) {
+      const versions = new Set([[], ...Object.keys(tierConfig.tiers).map(key => resolveTier(key).chain)]
+        .map(chain => resolvePartial(name, locale, chain)));
+      if (depth < MAX_PARTIAL_DEPTH) versions.forEach(partial => collectTemplateVariables(partial, locale, variables, depth + 1));
+    } else {
+      variables.add(name);
+    }
+  }
+  return variables;
+};
+
+/**
+ * Substitute variables and partials into a template source
+ * escape=false is used for plain-text fields such as the subject line
+ */
+const renderTemplateString = (source, values, { escape = true, locale = DEFAULT_LOCALE, tiers = [], depth = 0 } = {}) =>
+  source.replace(TEMPLATE_TAG, (match, raw, isPartial, name) => {
+    if (raw) return values[raw] == null ? '' : String(values[raw]);
+
+    if (isPartial) {
+      if (depth >= MAX_PARTIAL_DEPTH) throw new Error(`Template partials nested too deeply at: ${name}`);
+      return renderTemplateString(resolvePartial(name, locale, tiers), values, { escape, locale, tiers, depth: depth + 1 });
+    }
+
+    if (values[name] == null) return '';
+    return escape ? escapeHtml(values[name]) : String(values[name]);
+  });
+
+/**
+ * Load nudge templates, keyed by their nudgeType name
+ * Each template carries its English content plus a variant per translated locale
+ */
+const loadNudgeTemplates = () => {
+  const files = {};
+  for (const { id: fileId, source } of readTemplateDir('nudges')) {
+    const [id, locale = DEFAULT_LOCALE] = fileId.split('.');
+    files[id] = { ...files[id], [locale.toLowerCase()]: parseTemplateFile(source) };
+  }
+
+  const templates = {};
+  for (const [id, byLocale] of Object.entries(files)) {
+    const base = byLocale[DEFAULT_LOCALE];
+    if (!base || !base.meta.name || !base.meta.subject) {
+      throw new Error(`Template nudges/${id}.html is missing or has no name or subject`);
+    }
+
+    const locales = {};
+    const requiredVariables = new Set();
+    for (const [locale, { meta, body }] of Object.entries(byLocale)) {
+      const subject = meta.subject || base.meta.subject;
+      const variables = collectTemplateVariables(templateLayout, locale);
+      collectTemplateVariables(body, locale, variables);
+      collectTemplateVariables(subject, locale, variables);
+
+      locales[locale] = {
+        subject,
+        title: meta.title || base.meta.title || subject,
+        body,
+        variables: [...variables]
+      };
+      variables.forEach(name => {
+        if (!SYSTEM_TEMPLATE_VARIABLES.includes(name) && !TIER_TEMPLATE_VARIABLES.has(name)) requiredVariables.add(name);
+      });
+    }
+
+    const tiers = base.meta.tiers ? base.meta.tiers.split(',').map(key => key.trim()).filter(Boolean) : null;
+    const unknownTier = (tiers || []).find(key => !tierConfig.tiers[key]);
+    if (unknownTier) {
+      throw new Error(`Template nudges/${id}.html lists unknown tier: ${unknownTier}`);
+    }
+
+    templates[base.meta.name] = {
+      id,
+      name: base.meta.name,
+      subject: locales[DEFAULT_LOCALE].subject,
+      title: locales[DEFAULT_LOCALE].title,
+      description: base.meta.description || '',
+      body: base.body,
+      locales,
+      availableLocales: Object.keys(locales).sort(),
+      requiredVariables: [...requiredVariables],
+      tiers
+    };
+  }
+
+  return templates;
+};
+
+const emailTemplates = loadNudgeTemplates();
+console.log(`[Templates] ✅ Loaded ${Object.keys(emailTemplates).length} nudge templates: ${Object.keys(emailTemplates).join(', ')}`);
+
+/**
+ * Load the SMS and WhatsApp text templates, keyed by channel and then by template id
+ * Each entry has the same { locales, availableLocales } shape as a nudge template so locale fallback is shared
+ */
+const loadTextTemplates = () => {
+  const templates = {};
+  for (const channel of TEXT_CHANNELS) {
+    templates[channel] = {};
+    if (!fs.existsSync(path.join(TEMPLATES_DIR, channel))) continue;
+
+    for (const { id: fileId, source } of readTemplateDir(channel, '.txt')) {
+      const [id, locale = DEFAULT_LOCALE] = fileId.split('.');
+      const template = templates[channel][id] || { id, locales: {} };
+      template.locales[locale.toLowerCase()] = source.replace(/\s+$/, '');
+      template.availableLocales = Object.keys(template.locales).sort();
+      templates[channel][id] = template;
+    }
+
+    const missingEnglish = Object.values(templates[channel]).find(template => !template.locales[DEFAULT_LOCALE]);
+    if (missingEnglish) {
+      throw new Error(`Template ${channel}/${missingEnglish.id}.txt is missing`);
+    }
+  }
+  return templates;
+};
+
+const textTemplates = loadTextTemplates();
+console.log(`[Templates] ✅ Loaded text templates: ${TEXT_CHANNELS.map(channel => `${Object.keys(textTemplates[channel]).length} ${channel}`).join(', ')}`);
+
+/**
+ * Channels a nudge template can be sent over
+ */
+const getTemplateChannels = (template) => ['email', ...TEXT_CHANNELS.filter(channel => textTemplates[channel][template.id])];
+
+/**
+ * Render a text template for a channel
+ * Returns: { locale, body, length, maxLength } - length is counted in characters, not bytes or SMS segments
+ */
+const renderTextTemplate = (channel, id, values, requestedLocale) => {
+  const template = textTemplates[channel][id];
+  if (!template) {
+    throw new Error(`No ${channel} template for ${id}`);
+  }
+
+  const locale = resolveTemplateLocale(template, requestedLocale);
+  const body = renderTemplateString(template.locales[locale], values, { escape: false, locale }).trim();
+  return { locale, body, length: [...body].length, maxLength: TEXT_CHANNEL_LIMITS[channel] };
+};
+
+/**
+ * List the caller-supplied variables a template needs that are missing from values
+ */
+const findMissingTemplateVariables = (template, values) =>
+  template.requiredVariables.filter(name => values[name] == null || values[name] === '');
+
+/**
+ * Explain why a template cannot be sent to a tier, or null if it can
+ */
+const findTierRestriction = (template, tier) => {
+  const unknown = findUnknownTier(tier);
+  if (unknown) return unknown;
+  if (!template.tiers) return null;
+  const { key } = resolveTier(tier);
+  return template.tiers.includes(key)
+    ? null
+    : `${template.name} is not available for tier ${tier}. Available tiers: ${template.tiers.join(', ')}`;
+};
+
+/**
+ * Pick the closest translation a template has for a requested locale
+ * 'es-MX' matches 'es'; anything unknown falls back to English
+ */
+const resolveTemplateLocale = (template, requested) => {
+  // Partner custom templates are written in a single language, which may not be English
+  const fallback = template.locales[DEFAULT_LOCALE] ? DEFAULT_LOCALE : template.availableLocales[0];
+  if (!requested || typeof requested !== 'string') return fallback;
+
+  const normalized = requested.trim().toLowerCase().replace('_', '-');
+  if (template.locales[normalized]) return normalized;
+
+  const language = normalized.split('-')[0];
+  return template.locales[language] ? language : fallback;
+};
+
+/**
+ * Render a nudge template inside the shared layout, with the blocks and variables of the given tier
+ * Throws if any variable the template uses is missing or the template is not available for the tier
+ * Returns: { subject, html, locale }
+ */
+const renderEmailTemplate = (template, values, requestedLocale, requestedTier) => {
+  const missing = findMissingTemplateVariables(template, values);
+  if (missing.length > 0) {
+    throw new Error(`Missing template variables: ${missing.join(', ')}`);
+  }
+
+  const restriction = findTierRestriction(template, requestedTier);
+  if (restriction) {
+    throw new Error(restriction);
+  }
+
+  const tier = resolveTier(requestedTier);
+  const locale = resolveTemplateLocale(template, requestedLocale);
+  const variant = template.locales[locale];
+  const context = {
+    ...tier.variables,
+    ...values,
+    title: variant.title,
+    lang: locale,
+    dir: RTL_LOCALES.includes(locale) ? 'rtl' : 'ltr'
+  };
+  const options = { locale, tiers: tier.chain };
+  const body = renderTemplateString(variant.body, context, options);
+
+  return {
+    subject: renderTemplateString(variant.subject, context, { ...options, escape: false }),
+    html: renderTemplateString(templateLayout, { ...context, body }, options),
+    locale
+  };
+};
+
+// ============= COMPLIANCE CHECKS =============
+// Every nudge is checked after rendering and before it reaches sendEmailWithRetry. Rules live in
+// templates/compliance.json: blocks that must be present (marked with data-compliance="<name>" in the
+// disclaimer partial) and prohibited phrases, each either flagged (sent, but reported) or blocked.
+// OTP emails are transactional, not marketing, and are not checked.
+
+/**
+ * Load compliance.json and compile its phrase patterns (case-insensitive, Unicode)
+ */
+const loadComplianceRules = () => {
+  const config = JSON.parse(fs.readFileSync(path.join(TEMPLATES_DIR, 'compliance.json'), 'utf8'));
+
+  const prohibitedPhrases = (config.prohibitedPhrases || []).map((rule, index) => {
+    if (!['flag', 'block'].includes(rule.action)) {
+      throw new Error(`compliance.json: prohibitedPhrases[${index}].action must be flag or block`);
+    }
+    return { ...rule, regex: new RegExp(rule.pattern, 'iu') };
+  });
+
+  return {
+    requiredBlocks: config.requiredBlocks || {},
+    minBlockLength: config.minBlockLength || 0,
+    prohibitedPhrases
+  };
+};
+
+const complianceRules = loadComplianceRules();
+console.log(`[Compliance] ✅ Loaded ${complianceRules.prohibitedPhrases.length} phrase rules, ${Object.keys(complianceRules.requiredBlocks).length} required blocks`);
+
+/**
+ * Match text against the prohibited phrase rules
+ * Returns: [{ rule, action, match, message }]
+ */
+const findProhibitedPhrases = (content) => complianceRules.prohibitedPhrases
+  .map(rule => ({ rule, match: rule.regex.exec(content) }))
+  .filter(({ match }) => match)
+  .map(({ rule, match }) => ({ rule: 'prohibited-phrase', action: rule.action, match: match[0], message: rule.reason || 'Prohibited phrase' }));
+
+/**
+ * Check a rendered email against the compliance rules
+ * Phrases are matched on the subject and plain-text part, so markup and URLs never trigger them
+ * Returns: { passed, blocked, violations: [{ rule, action, message, block?, match? }] }
+ */
+const lintEmailContent = ({ subject, html, text }) => {
+  const violations = [];
+
+  for (const [block, label] of Object.entries(complianceRules.requiredBlocks)) {
+    const match = new RegExp(`<span[^>]*data-compliance="${block}"[^>]*>([\\s\\S]*?)</span>`).exec(html || '');
+    const content = match ? match[1].replace(/<[^>]+>/g, '').trim() : '';
+    if (content.length < Math.max(complianceRules.minBlockLength, 1)) {
+      violations.push({ rule: 'required-block', action: 'block', block, message: `${label} is missing` });
+    }
+  }
+
+  violations.push(...findProhibitedPhrases(`${subject || ''}\n${text || ''}`));
+
+  const blocked = violations.some(violation => violation.action === 'block');
+  return { passed: violations.length === 0, blocked, violations };
+};
+
+/**
+ * Check an SMS or WhatsApp body against the prohibited phrases
+ * Required blocks are an email layout rule; text templates carry their own short risk line
+ * Returns: { passed, blocked, violations }
+ */
+const lintMessageContent = (body) => {
+  const violations = findProhibitedPhrases(body || '');
+  const blocked = violations.some(violation => violation.action === 'block');
+  return { passed: violations.length === 0, blocked, violations };
+};
+
+/**
+ * Error thrown when a nudge is blocked by the compliance checks; carries the violations for the caller
+ */
+const complianceError = (violations) => {
+  const error = new Error(`Blocked by compliance checks: ${violations.filter(v => v.action === 'block').map(v => v.message).join('; ')}`);
+  error.code = 'COMPLIANCE_BLOCKED';
+  error.violations = violations;
+  return error;
+};
+
+// ============= NUDGE HELPERS =============
+
+const NUDGE_BULK_MAX_RECIPIENTS = parseInt(process.env.NUDGE_BULK_MAX_RECIPIENTS, 10) || 500;
+const NUDGE_BULK_CONCURRENCY = parseInt(process.env.NUDGE_BULK_CONCURRENCY, 10) || 5;
+
+// Frequency limits (0 disables a rule). Per-type cooldowns override the default, e.g.
+// NUDGE_COOLDOWN_DAYS_BY_TYPE='{"Complete KYC":3,"Fund Account":5}'
+const parseJsonEnv = (name, fallback) => {
+  if (!process.env[name]) return fallback;
+  try {
+    return JSON.parse(process.env[name]);
+  } catch (err) {
+    console.warn(`[Config] ⚠️ ${name} is not valid JSON - using defaults`);
+    return fallback;
+  }
+};
+
+const NUDGE_LIMITS = {
+  cooldownDays: process.env.NUDGE_COOLDOWN_DAYS !== undefined ? parseFloat(process.env.NUDGE_COOLDOWN_DAYS) : 7,
+  cooldownDaysByType: parseJsonEnv('NUDGE_COOLDOWN_DAYS_BY_TYPE', {}),
+  partnerDailyCap: process.env.NUDGE_PARTNER_DAILY_CAP !== undefined ? parseInt(process.env.NUDGE_PARTNER_DAILY_CAP, 10) : 200
+};
+
+if (!supabase) {
+  console.warn('[Nudge Limits] ⚠️ Supabase not configured - cooldowns and daily caps are not enforced');
+}
+
+// Partner personalization: reply-to address plus a short note and signature rendered into fixed slots
+const PERSONAL_NOTE_MAX_LENGTH = 500;
+const SIGNATURE_MAX_LENGTH = 300;
+const SIGNATURE_MAX_LINES = 6;
+
+/**
+ * Validate the optional partner personalization fields of a nudge request
+ * Returns: { error } or { personalization: { replyTo, personalNote, signature } }
+ */
+const readNudgePersonalization = ({ replyTo, personalNote, signature }) => {
+  for (const [name, value] of [['replyTo', replyTo], ['personalNote', personalNote], ['signature', signature]]) {
+    if (value != null && typeof value !== 'string') {
+      return { error: `Invalid ${name}. Must be a string` };
+    }
+  }
+
+  const note = personalNote ? personalNote.trim() : '';
+  const sign = signature ? signature.trim() : '';
+  const reply = replyTo ? replyTo.trim().toLowerCase() : '';
+
+  if (reply && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(reply)) {
+    return { error: 'Invalid replyTo email address' };
+  }
+  if (note.length > PERSONAL_NOTE_MAX_LENGTH) {
+    return { error: `personalNote is too long. Maximum is ${PERSONAL_NOTE_MAX_LENGTH} characters` };
+  }
+  if (sign.length > SIGNATURE_MAX_LENGTH || sign.split('\n').length > SIGNATURE_MAX_LINES) {
+    return { error: `signature is too long. Maximum is ${SIGNATURE_MAX_LENGTH} characters over ${SIGNATURE_MAX_LINES} lines` };
+  }
+
+  return {
+    personalization: {
+      replyTo: reply || null,
+      personalNote: note || null,
+      signature: sign || null
+    }
+  };
+};
+
+/**
+ * Render plain partner text into a slot partial - escaped, with line breaks kept
+ */
+const renderPartnerSlot = (partialName, slot, text, locale) => {
+  if (!text) return '';
+  const html = escapeHtml(text).replace(/\r?\n/g, '<br>');
+  return renderTemplateString(resolvePartial(partialName, locale || DEFAULT_LOCALE), { [slot]: html });
+};
+
+/**
+ * The nudge fields a request may set - never the template, trackingId or anything else the builders read
+ */
+const pickNudgeFields = ({ recipientEmail, recipientName, referrerName, nudgeType, tier, partnerId, locale }) => ({
+  recipientEmail,
+  recipientName,
+  referrerName,
+  nudgeType,
+  tier,
+  partnerId,
+  locale
+});
+
+/**
+ * Template variables for a nudge, as supplied by the caller
+ */
+const buildNudgeVariables = ({ recipientName, referrerName, personalNote, signature, locale }) => ({
+  recipientName,
+  referrerName,
+  personalNote: renderPartnerSlot('personal-note', 'note', personalNote, locale),
+  partnerSignature: renderPartnerSlot('partner-signature', 'signature', signature, locale)
+});
+
+/**
+ * Render the final subject and content for a nudge
+ * Used for both sending and previews so partners see exactly what goes out;
+ * links are only rewritten to tracked redirects when the nudge has a trackingId (i.e. not for previews)
+ * Returns: { locale, subject, html, text }
+ */
+const buildNudgeEmail = (nudge, unsubscribeUrl) => {
+  const template = nudge.template || emailTemplates[nudge.nudgeType];
+  const rendered = renderEmailTemplate(template, { ...buildNudgeVariables(nudge), unsubscribeUrl }, nudge.locale, nudge.tier);
+  const html = nudge.trackingId
+    ? rewriteTrackedLinks(rendered.html, { trackingId: nudge.trackingId, partnerId: nudge.partnerId, campaign: template.id })
+    : rendered.html;
+
+  return {
+    locale: rendered.locale,
+    subject: rendered.subject,
+    ...prepareEmailContent(html)
+  };
+};
+
+/**
+ * Build a nudge from its template, run the compliance checks and send it through the email transport
+ * Throws a COMPLIANCE_BLOCKED error (with .violations) instead of sending blocked content
+ * Returns: { messageId, locale, complianceWarnings }
+ */
+const sendNudgeEmail = async (nudge, { maxRetries } = {}) => {
+  const unsubscribeUrl = buildUnsubscribeUrl(nudge.recipientEmail, nudge.partnerId);
+  const email = buildNudgeEmail(nudge, unsubscribeUrl);
+
+  const compliance = lintEmailContent(email);
+  if (compliance.blocked) {
+    throw complianceError(compliance.violations);
+  }
+  if (compliance.violations.length > 0) {
+    console.warn(`[Compliance] ⚠️ ${nudge.nudgeType} to ${nudge.recipientEmail} flagged: ${compliance.violations.map(v => v.match || v.message).join(', ')}`);
+  }
+
+  const info = await sendEmailWithRetry({
+    from: `"${EMAIL_CONFIG.fromName}" <${EMAIL_CONFIG.from}>`,
+    to: nudge.recipientEmail,
+    subject: email.subject,
+    html: email.html,
+    text: email.text,
+    // Client replies go straight to the partner
+    replyTo: nudge.replyTo ? { name: nudge.referrerName, email: nudge.replyTo } : undefined,
+    // RFC 8058 one-click unsubscribe
+    headers: {
+      'List-Unsubscribe': `<${unsubscribeUrl}>`,
+      'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+    }
+  }, maxRetries);
+
+  return { ...info, locale: email.locale, complianceWarnings: compliance.violations };
+};
+
+/**
+ * Render the SMS or WhatsApp text for a nudge (nudge.channel) from its text template
+ * Returns: { locale, body, length, maxLength }
+ */
+const buildNudgeMessage = (nudge) => {
+  const template = nudge.template || emailTemplates[nudge.nudgeType];
+  const tier = resolveTier(nudge.tier);
+  return renderTextTemplate(nudge.channel, template.id, {
+    ...tier.variables,
+    recipientName: nudge.recipientName,
+    referrerName: nudge.referrerName
+  }, nudge.locale);
+};
+
+/**
+ * Run the send-time checks on a nudge before it is queued, rendered with a preview unsubscribe link
+ * Returns: { compliance } or { tooLong } (the rendered message) for text over the channel's limit
+ */
+const lintNudgeContent = (nudge) => {
+  if (!nudge.channel || nudge.channel === 'email') {
+    return { compliance: lintEmailContent(buildNudgeEmail(nudge, `${PUBLIC_BASE_URL}/unsubscribe/preview`)) };
+  }
+
+  const message = buildNudgeMessage(nudge);
+  if (message.length > message.maxLength) return { tooLong: message };
+  return { compliance: lintMessageContent(message.body) };
+};
+
+/**
+ * Build a nudge as a text message, run the phrase checks and send it to nudge.phoneNumber
+ * Throws COMPLIANCE_BLOCKED or MESSAGE_TOO_LONG instead of sending
+ * Returns: { messageId, locale, complianceWarnings }
+ */
+const sendNudgeMessage = async (nudge) => {
+  const message = buildNudgeMessage(nudge);
+
+  const compliance = lintMessageContent(message.body);
+  if (compliance.blocked) {
+    throw complianceError(compliance.violations);
+  }
+
+  const info = await sendTextMessage({ channel: nudge.channel, to: nudge.phoneNumber, body: message.body });
+  return { ...info, locale: message.locale, complianceWarnings: compliance.violations };
+};
+
+/**
+ * Record a nudge attempt in the nudge_history table
+ * Never throws - history is best-effort and must not fail a send
+ * Table: nudge_history (id, partner_id, recipient_email, recipient_name, nudge_type, tier, locale, channel, phone_number,
+ *                       message_id, tracking_id, custom_template_id, status, error, created_at)
+ * Delivery columns are filled in later by the Brevo webhook and tracked-link clicks (see DELIVERY WEBHOOKS)
+ */
+const recordNudgeHistory = async ({ partnerId, recipientEmail, recipientName, nudgeType, tier, locale, channel, phoneNumber, messageId, trackingId, template, status, error }) => {
+  if (!supabase) return;
+
+  try {
+    const { error: dbError } = await supabase
+      .from('nudge_history')
+      .insert({
+        partner_id: partnerId,
+        recipient_email: recipientEmail.toLowerCase(),
+        recipient_name: recipientName || null,
+        nudge_type: nudgeType,
+        tier: tier || null,
+        locale: locale || null,
+        channel: channel || 'email',
+        phone_number: phoneNumber || null,
+        message_id: messageId || null,
+        tracking_id: trackingId || null,
+        custom_template_id: template?.customTemplateId || null,
+        status: status,
+        error: error || null,
+        created_at: new Date().toISOString()
+      });
+
+    if (dbError) {
+      console.warn(`[Nudge History] Warning saving to DB: ${dbError.message}`);
+    }
+  } catch (dbErr) {
+    console.warn(`[Nudge History] Database error: ${dbErr.message}`);
+  }
+};
+
+/**
+ * Check the per-recipient cooldown for a nudge type (across all partners)
+ * Fails open if history is unavailable
+ * Returns: null if allowed, otherwise { reason, message, nextAllowedAt }
+ */
+const checkRecipientCooldown = async ({ recipientEmail, nudgeType }) => {
+  const cooldownDays = NUDGE_LIMITS.cooldownDaysByType[nudgeType] ?? NUDGE_LIMITS.cooldownDays;
+  if (!supabase || !cooldownDays) return null;
+
+  const cooldownMs = cooldownDays * 24 * 60 * 60 * 1000;
+  const since = new Date(Date.now() - cooldownMs).toISOString();
+
+  const { data, error } = await supabase
+    .from('nudge_history')
+    .select('created_at')
+    .eq('recipient_email', recipientEmail.toLowerCase())
+    .eq('nudge_type', nudgeType)
+    .eq('status', 'sent')
+    .gte('created_at', since)
+    .order('created_at', { ascending: false })
+    .limit(1);
+
+  if (error) {
+    console.warn(`[Nudge Limits] Warning checking cooldown: ${error.message}`);
+    return null;
+  }
+  if (!data || data.length === 0) return null;
+
+  const nextAllowedAt = new Date(new Date(data[0].created_at).getTime() + cooldownMs);
+  return {
+    reason: 'recipient_cooldown',
+    message: `${nudgeType} was already sent to ${recipientEmail} in the last ${cooldownDays} day(s)`,
+    nextAllowedAt: nextAllowedAt.toISOString()
+  };
+};
+
+/**
+ * Count a partner's sent nudges for the current UTC day
+ * Fails open (returns 0) if history is unavailable
+ * Returns: { used, cap, resetsAt }
+ */
+const getPartnerDailyUsage = async (partnerId) => {
+  const startOfDay = new Date();
+  startOfDay.setUTCHours(0, 0, 0, 0);
+  const resetsAt = new Date(startOfDay.getTime() + 24 * 60 * 60 * 1000).toISOString();
+  const cap = NUDGE_LIMITS.partnerDailyCap;
+
+  if (!supabase || !cap) return { used: 0, cap, resetsAt };
+
+  const { count, error } = await supabase
+    .from('nudge_history')
+    .select('id', { count: 'exact', head: true })
+    .eq('partner_id', partnerId)
+    .eq('status', 'sent')
+    .gte('created_at', startOfDay.toISOString());
+
+  if (error) {
+    console.warn(`[Nudge Limits] Warning counting partner usage: ${error.message}`);
+    return { used: 0, cap, resetsAt };
+  }
+
+  return { used: count || 0, cap, resetsAt };
+};
+
+/**
+ * Build the block returned when a partner has used today's allowance
+ */
+const partnerCapExceeded = (usage) => ({
+  reason: 'partner_daily_cap',
+  message: `Daily nudge limit of ${usage.cap} reached for this partner`,
+  nextAllowedAt: usage.resetsAt
+});
+
+/**
+ * Check whether a recipient is on the suppression list
+ * Fails open if the list is unavailable
+ * Returns: null if allowed, otherwise { reason, message }
+ */
+const checkSuppression = async (recipientEmail) => {
+  if (!supabase) return null;
+
+  const { data, error } = await supabase
+    .from('email_suppressions')
+    .select('reason')
+    .eq('email', recipientEmail.trim().toLowerCase())
+    .limit(1);
+
+  if (error) {
+    console.warn(`[Suppression] Warning checking list: ${error.message}`);
+    return null;
+  }
+  if (!data || data.length === 0) return null;
+
+  return {
+    reason: 'suppressed',
+    message: `${recipientEmail} has opted out of partner communications (${data[0].reason})`
+  };
+};
+
+/**
+ * Apply every frequency rule to a single nudge
+ * skipCooldown is used by drip sequences, whose step delays replace the per-recipient cooldown
+ * Returns: null if allowed, otherwise { reason, message, nextAllowedAt }
+ */
+const checkNudgeLimits = async ({ partnerId, recipientEmail, nudgeType }, { skipCooldown = false } = {}) => {
+  const usage = await getPartnerDailyUsage(partnerId);
+  if (usage.cap && usage.used >= usage.cap) {
+    return partnerCapExceeded(usage);
+  }
+
+  if (skipCooldown) return null;
+  return checkRecipientCooldown({ recipientEmail, nudgeType });
+};
+
+/**
+ * Respond 429 for a blocked nudge with a Retry-After header
+ */
+const sendLimitExceeded = (res, block) => {
+  const retryAfterSeconds = Math.max(Math.ceil((Date.parse(block.nextAllowedAt) - Date.now()) / 1000), 1);
+  res.set('Retry-After', String(retryAfterSeconds));
+  return res.status(429).json({
+    error: 'Nudge limit reached',
+    reason: block.reason,
+    details: block.message,
+    nextAllowedAt: block.nextAllowedAt,
+    retryAfterSeconds
+  });
+};
+
+/**
+ * Send a nudge and record the outcome in nudge history
+ * Rethrows send failures, recording them first unless recordFailure is false
+ * (the queue worker records a failure only once a job has run out of attempts)
+ * Returns: { messageId, locale }
+ */
+const dispatchNudge = async (nudge, { maxRetries, recordFailure = true } = {}) => {
+  const tracked = { ...nudge, trackingId: crypto.randomUUID() };
+  try {
+    const info = tracked.channel && tracked.channel !== 'email'
+      ? await sendNudgeMessage(tracked)
+      : await sendNudgeEmail(tracked, { maxRetries });
+    await recordNudgeHistory({ ...tracked, locale: info.locale, messageId: info.messageId, status: 'sent' });
+    return info;
+  } catch (sendErr) {
+    if (recordFailure) {
+      const errorMsg = sendErr.response?.data?.message || sendErr.message;
+      await recordNudgeHistory({ ...tracked, status: 'failed', error: errorMsg });
+    }
+    throw sendErr;
+  }
+};
+
+/**
+ * Run an async worker over every item with at most `limit` in flight
+ * Results are returned in the same order as the input
+ */
+const mapWithConcurrency = async (items, limit, worker) => {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await worker(items[index], index);
+    }
+  });
+
+  await Promise.all(runners);
+  return results;
+};
+
+/**
+ * POST /api/nudges/send
+ * Queue one nudge for delivery, or schedule it with sendAt
+ * Body: { recipientEmail, recipientName, referrerName, nudgeType, tier, partnerId, locale?, channel?, phoneNumber?,
+ *         sendAt?, timezone?, customTemplate?, replyTo?, personalNote?, signature? }
+ * channel is email (default), sms or whatsapp; sms and whatsapp need phoneNumber and a text template for the nudge
+ * Returns: 202 { success, queued, jobId, statusUrl } - or 200 { success, messageId } when sent inline without Supabase
+ * Supports Idempotency-Key (see IDEMPOTENCY KEYS)
+ */
+app.post('/api/nudges/send', requireAuth, requirePartnerAccess, idempotent, async (req, res) => {
+  try {
+    const { 
+      recipientEmail, 
+      recipientName, 
+      referrerName, 
+      nudgeType, 
+      tier, 
+      partnerId,
+      locale,
+      sendAt,
+      timezone,
+      customTemplate
+    } = req.body;
+
+    // Validate required fields
+    const missing = [];
+    if (!recipientEmail) missing.push('recipientEmail');
+    if (!recipientName) missing.push('recipientName');
+    if (!referrerName) missing.push('referrerName');
+    if (!nudgeType) missing.push('nudgeType');
+    if (!tier) missing.push('tier');
+    if (!partnerId) missing.push('partnerId');
+
+    if (missing.length > 0) {
+      return res.status(400).json({ 
+        error: `Missing required fields: ${missing.join(', ')}`
+      });
+    }
+
+    // Validate nudge type
+    if (!emailTemplates[nudgeType]) {
+      const validTypes = Object.keys(emailTemplates).join(', ');
+      return res.status(400).json({ 
+        error: `Invalid nudgeType. Must be one of: ${validTypes}`
+      });
+    }
+
+    // Validate email
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    if (!emailRegex.test(recipientEmail)) {
+      return res.status(400).json({ 
+        error: 'Invalid email address'
+      });
+    }
+
+    const { error: channelError, details: channelDetails, channel, phoneNumber } = readChannelOptions(req.body);
+    if (channelError) {
+      return res.status(400).json({ 
+        error: channelError,
+        details: channelDetails
+      });
+    }
+
+    if (channel === 'email' && !emailTransport.isConfigured()) {
+      return res.status(503).json({ 
+        error: 'Email service not configured',
+        details: emailTransport.configHint
+      });
+    }
+
+    // Partner-authored copy replaces the built-in template; only the newest approved version is used
+    let template = emailTemplates[nudgeType];
+    if (customTemplate) {
+      if (!supabase) {
+        return res.status(503).json({ 
+          error: 'Custom templates unavailable',
+          details: 'Set SUPABASE_URL and SUPABASE_KEY in .env'
+        });
+      }
+
+      template = await findApprovedCustomTemplate(partnerId, customTemplate, nudgeType);
+      if (!template) {
+        return res.status(404).json({ 
+          error: `No approved custom template "${customTemplate}" for ${nudgeType}`
+        });
+      }
+    }
+
+    if (channel !== 'email') {
+      if (customTemplate) {
+        return res.status(400).json({ 
+          error: 'Custom templates can only be sent by email'
+        });
+      }
+      if (!textTemplates[channel][template.id]) {
+        return res.status(400).json({ 
+          error: `${nudgeType} has no ${channel} template. Available channels: ${getTemplateChannels(template).join(', ')}`
+        });
+      }
+    }
+
+    const tierRestriction = findTierRestriction(template, tier);
+    if (tierRestriction) {
+      return res.status(400).json({ 
+        error: tierRestriction
+      });
+    }
+
+    const { error: personalizationError, personalization } = readNudgePersonalization(req.body);
+    if (personalizationError) {
+      return res.status(400).json({ 
+        error: personalizationError
+      });
+    }
+
+    // Report missing template variables before anything is queued or sent
+    const missingVariables = findMissingTemplateVariables(template, buildNudgeVariables(req.body));
+    if (missingVariables.length > 0) {
+      return res.status(400).json({ 
+        error: `Missing template variables: ${missingVariables.join(', ')}`,
+        missingVariables
+      });
+    }
+
+    // Same for compliance and text length - scheduled nudges are checked again when they are dispatched
+    const { compliance, tooLong } = lintNudgeContent({ ...pickNudgeFields(req.body), ...personalization, template, channel });
+    if (tooLong) {
+      return res.status(400).json({ 
+        error: `${channel} message is too long`,
+        length: tooLong.length,
+        maxLength: tooLong.maxLength
+      });
+    }
+    if (compliance.blocked) {
+      return res.status(422).json({ 
+        error: `${channel === 'email' ? 'Email' : 'Message'} blocked by compliance checks`,
+        violations: compliance.violations
+      });
+    }
+
+    // Delayed delivery - queue the nudge; limits are applied when it is dispatched
+    if (sendAt) {
+      if (!supabase) {
+        return res.status(503).json({ 
+          error: 'Scheduled nudges unavailable',
+          details: 'Set SUPABASE_URL and SUPABASE_KEY in .env'
+        });
+      }
+
+      const scheduled = resolveSendAt(sendAt, timezone);
+      if (scheduled.error) {
+        return res.status(400).json({ error: scheduled.error });
+      }
+
+      const job = await scheduleNudge({
+        recipientEmail, recipientName, referrerName, nudgeType, tier, partnerId, locale, channel, phoneNumber,
+        ...personalization,
+        customTemplateId: template.customTemplateId,
+        sendAt: scheduled.sendAt,
+        timezone: timezone || 'UTC'
+      });
+
+      return res.status(202).json({
+        success: true,
+        scheduled: true,
+        message: `${nudgeType} nudge scheduled for ${recipientEmail}`,
+        jobId: job.id,
+        sendAt: job.send_at,
+        timezone: job.timezone,
+        recipientEmail,
+        nudgeType,
+        tier,
+        channel
+      });
+    }
+
+    // Never nudge a recipient who has opted out
+    const suppressed = await checkSuppression(recipientEmail);
+    if (suppressed) {
+      return res.status(409).json({ 
+        error: 'Recipient has unsubscribed',
+        reason: suppressed.reason,
+        details: suppressed.message
+      });
+    }
+
+    // Enforce frequency limits
+    const block = await checkNudgeLimits({ partnerId, recipientEmail, nudgeType });
+    if (block) {
+      return sendLimitExceeded(res, block);
+    }
+
+    // Provider is down - fail fast rather than queue behind the breaker
+    if (channel === 'email' && isEmailCircuitOpen()) {
+      return sendCircuitOpen(res);
+    }
+
+    // Write the send to the durable queue and let the worker deliver and retry it
+    if (supabase) {
+      const job = await enqueueNudge({
+        recipientEmail, recipientName, referrerName, nudgeType, tier, partnerId, locale, channel, phoneNumber,
+        ...personalization,
+        customTemplateId: template.customTemplateId
+      });
+
+      return res.status(202).json({
+        success: true,
+        queued: true,
+        message: `${nudgeType} nudge queued for ${recipientEmail}`,
+        jobId: job.id,
+        status: job.status,
+        statusUrl: `/api/nudges/${job.id}/status`,
+        timestamp: new Date().toISOString(),
+        recipientEmail,
+        nudgeType,
+        tier,
+        channel,
+        ...(compliance.violations.length > 0 ? { complianceWarnings: compliance.violations } : {})
+      });
+    }
+
+    // console.log(`[Nudge] Sending ${nudgeType} to ${recipientEmail}...`);
+
+    // No database to queue in - send inline through the configured transport with retry logic
+    const info = await dispatchNudge({ recipientEmail, recipientName, referrerName, nudgeType, tier, partnerId, locale, channel, phoneNumber, ...personalization, template });
+
+    // console.log(`[Nudge] ✅ Nudge sent to ${recipientEmail} via ${emailTransport.name}`);
+
+    res.status(200).json({
+      success: true,
+      message: `${nudgeType} nudge sent to ${recipientEmail}`,
+      messageId: info.messageId,
+      timestamp: new Date().toISOString(),
+      recipientEmail,
+      nudgeType,
+      tier,
+      channel,
+      locale: info.locale,
+      ...(info.complianceWarnings.length > 0 ? { complianceWarnings: info.complianceWarnings } : {})
+    });
+
+  } catch (error) {
+    if (error.code === 'COMPLIANCE_BLOCKED') {
+      return res.status(422).json({ 
+        error: 'Email blocked by compliance checks',
+        violations: error.violations
+      });
+    }
+    if (error.code === 'CIRCUIT_OPEN') {
+      return sendCircuitOpen(res);
+    }
+    if (error.code === 'MESSAGE_TOO_LONG') {
+      return res.status(400).json({ 
+        error: error.message
+      });
+    }
+
+    console.error('[Nudge] ❌ Error:', error.message);
+    res.status(500).json({
+      error: 'Failed to send email',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/nudges/bulk
+ * Send one nudge type to many recipients with bounded concurrency
+ * Body: { recipients: [{ email, name, referrerName?, nudgeType?, tier?, locale?, channel?, phoneNumber? }], nudgeType, referrerName, tier, partnerId,
+ *         locale?, channel?, customTemplate?, replyTo?, personalNote?, signature? }
+ * channel (default email) applies to every recipient that does not set its own; customTemplate only to email recipients of nudgeType
+ * Recipients on a channel that is not configured here are reported as 'invalid', so a text-only batch needs no email transport
+ * Returns: { success, summary, results } - one result per recipient, in input order
+ * With Supabase each recipient is queued for the worker ('queued', with jobId and statusUrl); without it they are sent inline
+ * Unsubscribed recipients and those over a cooldown or the partner's daily cap are reported as 'blocked'
+ */
+app.post('/api/nudges/bulk', requireAuth, requirePartnerAccess, async (req, res) => {
+  try {
+    const { recipients, referrerName, nudgeType, tier, partnerId, locale, customTemplate } = req.body;
+
+    const channel = req.body.channel ? String(req.body.channel).toLowerCase() : 'email';
+    if (!MESSAGE_CHANNELS.includes(channel)) {
+      return res.status(400).json({ 
+        error: `Invalid channel. Must be one of: ${MESSAGE_CHANNELS.join(', ')}`
+      });
+    }
+
+    if (channel === 'email' && isEmailCircuitOpen()) {
+      return sendCircuitOpen(res);
+    }
+
+    // Validate required fields
+    const missing = [];
+    if (!Array.isArray(recipients) || recipients.length === 0) missing.push('recipients');
+    if (!referrerName) missing.push('referrerName');
+    if (!nudgeType) missing.push('nudgeType');
+    if (!tier) missing.push('tier');
+    if (!partnerId) missing.push('partnerId');
+
+    if (missing.length > 0) {
+      return res.status(400).json({ 
+        error: `Missing required fields: ${missing.join(', ')}`
+      });
+    }
+
+    if (recipients.length > NUDGE_BULK_MAX_RECIPIENTS) {
+      return res.status(400).json({ 
+        error: `Too many recipients. Maximum per request is ${NUDGE_BULK_MAX_RECIPIENTS}`
+      });
+    }
+
+    // Validate nudge type
+    if (!emailTemplates[nudgeType]) {
+      const validTypes = Object.keys(emailTemplates).join(', ');
+      return res.status(400).json({ 
+        error: `Invalid nudgeType. Must be one of: ${validTypes}`
+      });
+    }
+
+    // Partner-authored copy for the batch's nudgeType, found the same way as for single sends
+    let customEmailTemplate = null;
+    if (customTemplate) {
+      if (!supabase) {
+        return res.status(503).json({ 
+          error: 'Custom templates unavailable',
+          details: 'Set SUPABASE_URL and SUPABASE_KEY in .env'
+        });
+      }
+
+      customEmailTemplate = await findApprovedCustomTemplate(partnerId, customTemplate, nudgeType);
+      if (!customEmailTemplate) {
+        return res.status(404).json({ 
+          error: `No approved custom template "${customTemplate}" for ${nudgeType}`
+        });
+      }
+    }
+
+    // Personalization is shared by every recipient in the batch
+    const { error: personalizationError, personalization } = readNudgePersonalization(req.body);
+    if (personalizationError) {
+      return res.status(400).json({ 
+        error: personalizationError
+      });
+    }
+
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    const seenEmails = new Set();
+
+    // The daily cap is shared by the whole batch, so reserve slots as recipients are processed
+    const usage = await getPartnerDailyUsage(partnerId);
+    let remaining = usage.cap ? Math.max(usage.cap - usage.used, 0) : Infinity;
+
+    console.log(`[Nudge Bulk] Sending ${nudgeType} to ${recipients.length} recipients for partner ${partnerId}`);
+
+    const results = await mapWithConcurrency(recipients, NUDGE_BULK_CONCURRENCY, async (recipient) => {
+      const recipientEmail = typeof recipient?.email === 'string' ? recipient.email.trim() : '';
+      const recipientName = recipient?.name;
+      const recipientNudgeType = recipient?.nudgeType || nudgeType;
+      const recipientTier = recipient?.tier || tier;
+      const delivery = readChannelOptions({ channel: recipient?.channel, phoneNumber: recipient?.phoneNumber }, channel);
+      const result = { email: recipientEmail || null, nudgeType: recipientNudgeType, channel: delivery.channel || recipient?.channel || channel };
+
+      // Per-recipient validation errors are reported, not thrown
+      if (!recipientEmail || !emailRegex.test(recipientEmail)) {
+        return { ...result, status: 'invalid', error: 'Invalid email address' };
+      }
+      if (!recipientName) {
+        return { ...result, status: 'invalid', error: 'Missing required field: name' };
+      }
+      if (!emailTemplates[recipientNudgeType]) {
+        return { ...result, status: 'invalid', error: `Invalid nudgeType: ${recipientNudgeType}` };
+      }
+      if (delivery.error) {
+        return { ...result, status: 'invalid', error: delivery.error };
+      }
+      if (delivery.channel === 'email' && !emailTransport.isConfigured()) {
+        return { ...result, status: 'invalid', error: 'email is not available', details: emailTransport.configHint };
+      }
+      if (customEmailTemplate && (delivery.channel !== 'email' || recipientNudgeType !== nudgeType)) {
+        return { ...result, status: 'invalid', error: `Custom template "${customTemplate}" can only be sent by email as ${nudgeType}` };
+      }
+      if (delivery.channel !== 'email' && !textTemplates[delivery.channel][emailTemplates[recipientNudgeType].id]) {
+        return { ...result, status: 'invalid', error: `${recipientNudgeType} has no ${delivery.channel} template` };
+      }
+      const template = customEmailTemplate || emailTemplates[recipientNudgeType];
+      const tierRestriction = findTierRestriction(template, recipientTier);
+      if (tierRestriction) {
+        return { ...result, status: 'invalid', error: tierRestriction };
+      }
+      if (seenEmails.has(recipientEmail.toLowerCase())) {
+        return { ...result, status: 'invalid', error: 'Duplicate recipient in batch' };
+      }
+      seenEmails.add(recipientEmail.toLowerCase());
+
+      const suppressed = await checkSuppression(recipientEmail);
+      if (suppressed) {
+        return { ...result, status: 'blocked', reason: suppressed.reason, error: suppressed.message };
+      }
+
+      const cooldown = await checkRecipientCooldown({ recipientEmail, nudgeType: recipientNudgeType });
+      if (cooldown) {
+        return { ...result, status: 'blocked', reason: cooldown.reason, error: cooldown.message, nextAllowedAt: cooldown.nextAllowedAt };
+      }
+      if (remaining <= 0) {
+        const block = partnerCapExceeded(usage);
+        return { ...result, status: 'blocked', reason: block.reason, error: block.message, nextAllowedAt: block.nextAllowedAt };
+      }
+      remaining--;
+
+      const nudge = {
+        recipientEmail,
+        recipientName,
+        referrerName: recipient.referrerName || referrerName,
+        nudgeType: recipientNudgeType,
+        tier: recipientTier,
+        partnerId,
+        locale: recipient.locale || locale,
+        channel: delivery.channel,
+        phoneNumber: delivery.phoneNumber,
+        ...personalization,
+        template,
+        customTemplateId: template.customTemplateId
+      };
+
+      try {
+        // Write each send to the durable queue, as single sends do, so it gets retries and a status URL
+        if (supabase) {
+          const { compliance, tooLong } = lintNudgeContent(nudge);
+          if (tooLong) {
+            return { ...result, status: 'invalid', error: `${delivery.channel} message is too long`, length: tooLong.length, maxLength: tooLong.maxLength };
+          }
+          if (compliance.blocked) {
+            return { ...result, status: 'blocked', reason: 'compliance', error: 'Blocked by compliance checks', violations: compliance.violations };
+          }
+
+          const job = await enqueueNudge(nudge);
+          return {
+            ...result,
+            status: 'queued',
+            jobId: job.id,
+            statusUrl: `/api/nudges/${job.id}/status`,
+            ...(compliance.violations.length > 0 ? { complianceWarnings: compliance.violations } : {})
+          };
+        }
+
+        const info = await dispatchNudge(nudge);
+        return {
+          ...result,
+          status: 'sent',
+          messageId: info.messageId,
+          locale: info.locale,
+          ...(info.complianceWarnings.length > 0 ? { complianceWarnings: info.complianceWarnings } : {})
+        };
+      } catch (sendErr) {
+        if (sendErr.code === 'COMPLIANCE_BLOCKED') {
+          return { ...result, status: 'blocked', reason: 'compliance', error: sendErr.message, violations: sendErr.violations };
+        }
+        if (sendErr.code === 'MESSAGE_TOO_LONG') {
+          return { ...result, status: 'invalid', error: sendErr.message };
+        }
+        const errorMsg = sendErr.response?.data?.message || sendErr.message;
+        console.warn(`[Nudge Bulk] ⚠️ Failed for ${recipientEmail}: ${errorMsg}`);
+        return { ...result, status: 'failed', error: errorMsg };
+      }
+    });
+
+    const summary = {
+      total: results.length,
+      queued: results.filter(r => r.status === 'queued').length,
+      sent: results.filter(r => r.status === 'sent').length,
+      failed: results.filter(r => r.status === 'failed').length,
+      invalid: results.filter(r => r.status === 'invalid').length,
+      blocked: results.filter(r => r.status === 'blocked').length
+    };
+
+    console.log(`[Nudge Bulk] ✅ Done: ${summary.queued} queued, ${summary.sent} sent, ${summary.failed} failed, ${summary.invalid} invalid, ${summary.blocked} blocked`);
+
+    res.status(200).json({
+      success: summary.queued + summary.sent === summary.total,
+      summary,
+      results,
+      timestamp: new Date().toISOString(),
+      tier
+    });
+
+  } catch (error) {
+    console.error('[Nudge Bulk] ❌ Error:', error.message);
+    res.status(500).json({
+      error: 'Failed to send bulk nudges',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/nudges/templates
+ * List available nudge templates
+ * Returns: { success, data: [{ nudgeType, id, subject, description, requiredVariables, locales, tiers, channels }] }
+ */
+app.get('/api/nudges/templates', requireAuth, (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: Object.values(emailTemplates).map(template => ({
+      nudgeType: template.name,
+      id: template.id,
+      subject: template.subject,
+      description: template.description,
+      requiredVariables: template.requiredVariables,
+      locales: template.availableLocales,
+      tiers: template.tiers || Object.keys(tierConfig.tiers),
+      channels: getTemplateChannels(template)
+    }))
+  });
+});
+
+/**
+ * POST /api/nudges/preview
+ * Render a nudge exactly as it would be sent, without sending it
+ * Body: { nudgeType, recipientName, referrerName, tier?, locale?, channel?, ... } - same fields as /api/nudges/send
+ * Returns: { success, nudgeType, channel, locale, subject, html, text, compliance }
+ * For sms and whatsapp: { success, nudgeType, channel, locale, text, length, maxLength, compliance }
+ */
+app.post('/api/nudges/preview', requireAuth, (req, res) => {
+  try {
+    const { nudgeType } = req.body;
+
+    if (!nudgeType) {
+      return res.status(400).json({ 
+        error: 'Missing required field: nudgeType'
+      });
+    }
+
+    const template = emailTemplates[nudgeType];
+    if (!template) {
+      const validTypes = Object.keys(emailTemplates).join(', ');
+      return res.status(400).json({ 
+        error: `Invalid nudgeType. Must be one of: ${validTypes}`
+      });
+    }
+
+    const { error: personalizationError, personalization } = readNudgePersonalization(req.body);
+    if (personalizationError) {
+      return res.status(400).json({ 
+        error: personalizationError
+      });
+    }
+
+    const tierRestriction = findTierRestriction(template, req.body.tier);
+    if (tierRestriction) {
+      return res.status(400).json({ 
+        error: tierRestriction
+      });
+    }
+
+    const missingVariables = findMissingTemplateVariables(template, buildNudgeVariables(req.body));
+    if (missingVariables.length > 0) {
+      return res.status(400).json({ 
+        error: `Missing template variables: ${missingVariables.join(', ')}`,
+        missingVariables
+      });
+    }
+
+    const channel = req.body.channel ? String(req.body.channel).toLowerCase() : 'email';
+    if (!MESSAGE_CHANNELS.includes(channel)) {
+      return res.status(400).json({ 
+        error: `Invalid channel. Must be one of: ${MESSAGE_CHANNELS.join(', ')}`
+      });
+    }
+
+    if (channel !== 'email') {
+      if (!textTemplates[channel][template.id]) {
+        return res.status(400).json({ 
+          error: `${nudgeType} has no ${channel} template. Available channels: ${getTemplateChannels(template).join(', ')}`
+        });
+      }
+
+      const message = buildNudgeMessage({ ...pickNudgeFields(req.body), template, channel });
+      return res.status(200).json({
+        success: true,
+        nudgeType,
+        channel,
+        locale: message.locale,
+        text: message.body,
+        length: message.length,
+        maxLength: message.maxLength,
+        compliance: lintMessageContent(message.body)
+      });
+    }
+
+    // Previews never carry a working unsubscribe token
+    const email = buildNudgeEmail({ ...pickNudgeFields(req.body), ...personalization, template }, `${PUBLIC_BASE_URL}/unsubscribe/preview`);
+
+    res.status(200).json({
+      success: true,
+      nudgeType,
+      channel,
+      locale: email.locale,
+      subject: email.subject,
+      html: email.html,
+      text: email.text,
+      compliance: lintEmailContent(email)
+    });
+  } catch (err) {
+    console.error('[Nudge Preview] ❌ Error:', err.message);
+    res.status(500).json({
+      error: 'Failed to render preview',
+      details: err.message
+    });
+  }
+});
+
+/**
+ * GET /api/nudges/history/:partnerId
+ * List a partner's sent nudges, newest first
+ * Query: nudgeType, recipientEmail, from, to (ISO dates), page (default 1), pageSize (default 50, max 200)
+ * Returns: { success, data, pagination }
+ */
+app.get('/api/nudges/history/:partnerId', requireAuth, requirePartnerAccess, async (req, res) => {
+  try {
+    if (!supabase) {
+      return res.status(503).json({ 
+        error: 'Supabase not configured'
+      });
+    }
+
+    const { partnerId } = req.params;
+    const { nudgeType, recipientEmail, from, to } = req.query;
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(req.query.pageSize, 10) || 50, 1), 200);
+
+    // Validate date range
+    for (const [name, value] of [['from', from], ['to', to]]) {
+      if (value && isNaN(Date.parse(value))) {
+        return res.status(400).json({ 
+          error: `Invalid date for ${name}. Use ISO 8601 format`
+        });
+      }
+    }
+
+    let query = supabase
+      .from('nudge_history')
+      .select('*', { count: 'exact' })
+      .eq('partner_id', partnerId);
+
+    if (nudgeType) query = query.eq('nudge_type', nudgeType);
+    if (recipientEmail) query = query.eq('recipient_email', recipientEmail.trim().toLowerCase());
+    if (from) query = query.gte('created_at', new Date(from).toISOString());
+    if (to) query = query.lte('created_at', new Date(to).toISOString());
+
+    const offset = (page - 1) * pageSize;
+    const { data, error, count } = await query
+      .order('created_at', { ascending: false })
+      .range(offset, offset + pageSize - 1);
+
+    if (error) {
+      console.error('[Nudge History] ❌ Fetch failed:', error.message);
+      return res.status(400).json({ 
+        error: 'Failed to fetch nudge history',
+        details: error.message
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: data || [],
+      pagination: {
+        page,
+        pageSize,
+        total: count || 0,
+        totalPages: Math.ceil((count || 0) / pageSize)
+      }
+    });
+  } catch (err) {
+    console.error('[Nudge History] ❌ Error:', err.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      details: err.message
+    });
+  }
+});
+
+/**
+ * GET /api/nudges/health
+ * Includes the email circuit breaker; reports 'degraded' (503) while it is open
+ */
+app.get('/api/nudges/health', (req, res) => {
+  const isConfigured = emailTransport.isConfigured();
+  const circuitBreaker = getEmailCircuitStatus();
+  const isHealthy = isConfigured && circuitBreaker.state !== 'open';
+  res.status(isHealthy ? 200 : 503).json({
+    status: !isConfigured ? 'unhealthy' : isHealthy ? 'healthy' : 'degraded',
+    email: isConfigured ? 'configured' : 'not configured',
+    transport: emailTransport.name,
+    service: emailTransport.service,
+    circuitBreaker,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// ============= SCHEDULED NUDGES =============
+// Jobs live in the scheduled_nudges table so they survive restarts. It is also the send queue:
+// immediate sends are queued with send_at = now and picked up by the same worker.
+// scheduled_nudges (id, partner_id, recipient_email, recipient_name, referrer_name, nudge_type, tier,
+//                   locale, channel, phone_number, reply_to, personal_note, signature, custom_template_id, send_at, timezone, status, attempts,
+//                   message_id, error, enrollment_id, step_index, created_at, updated_at)
+// status: pending -> processing -> sent | failed | blocked | dead, or pending -> cancelled
+// A retryable failure goes back to pending with send_at pushed out by the retry backoff; a permanent
+// failure, or NUDGE_QUEUE_MAX_ATTEMPTS retryable ones, dead-letters the job ('dead') until it is requeued.
+// Email jobs that hit an open circuit breaker wait it out without using up an attempt.
+// A claim (processing) holds a job for NUDGE_QUEUE_LEASE_MS from its updated_at; only claims older than that,
+// left behind by a worker that stopped mid-send, are returned to pending - so several instances can share the queue.
+
+const SCHEDULER_INTERVAL_MS = parseInt(process.env.NUDGE_SCHEDULER_INTERVAL_MS, 10) || 30000;
+const SCHEDULER_BATCH_SIZE = parseInt(process.env.NUDGE_SCHEDULER_BATCH_SIZE, 10) || 20;
+const SCHEDULE_MAX_DAYS_AHEAD = 90;
+const QUEUE_MAX_ATTEMPTS = parseInt(process.env.NUDGE_QUEUE_MAX_ATTEMPTS, 10) || 5;
+const QUEUE_RETRY_BASE_MS = parseInt(process.env.NUDGE_QUEUE_RETRY_BASE_MS, 10) || 60 * 1000;
+const QUEUE_RETRY_MAX_MS = 60 * 60 * 1000;
+const QUEUE_LEASE_MS = parseInt(process.env.NUDGE_QUEUE_LEASE_MS, 10) || 10 * 60 * 1000;
+
+/**
+ * Offset (ms) between a time zone's wall clock and UTC at the given instant
+ */
+const getTimeZoneOffsetMs = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', second: '2-digit'
+  }).formatToParts(date).reduce((acc, part) => ({ ...acc, [part.type]: part.value }), {});
+
+  const wallClockAsUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallClockAsUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+/**
+ * Resolve a requested send time to a UTC instant
+ * sendAt with an explicit offset (e.g. 2026-03-01T09:00:00Z) is used as-is;
+ * a local time (e.g. 2026-03-01T09:00) is read in the given IANA time zone
+ * Returns: { sendAt } or { error }
+ */
+const resolveSendAt = (sendAt, timezone) => {
+  const zone = timezone || 'UTC';
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: zone });
+  } catch (err) {
+    return { error: `Invalid timezone: ${zone}` };
+  }
+
+  const localMatch = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2}))?$/.exec(String(sendAt));
+  let instant;
+  if (localMatch) {
+    const [, y, mo, d, h, mi, sec] = localMatch.map(Number);
+    const guess = Date.UTC(y, mo - 1, d, h, mi, sec || 0);
+    // Re-evaluate the offset at the first estimate so DST transitions land correctly
+    const estimate = guess - getTimeZoneOffsetMs(new Date(guess), zone);
+    instant = guess - getTimeZoneOffsetMs(new Date(estimate), zone);
+  } else {
+    instant = Date.parse(sendAt);
+  }
+
+  if (isNaN(instant)) {
+    return { error: 'Invalid sendAt. Use ISO 8601, e.g. 2026-03-01T09:00' };
+  }
+  if (instant < Date.now() - 60 * 1000) {
+    return { error: 'sendAt must be in the future' };
+  }
+  if (instant > Date.now() + SCHEDULE_MAX_DAYS_AHEAD * 24 * 60 * 60 * 1000) {
+    return { error: `sendAt cannot be more than ${SCHEDULE_MAX_DAYS_AHEAD} days ahead` };
+  }
+
+  return { sendAt: new Date(instant).toISOString() };
+};
+
+/**
+ * Store a nudge for later delivery
+ * Returns: the inserted scheduled_nudges row
+ */
+const scheduleNudge = async ({ recipientEmail, recipientName, referrerName, nudgeType, tier, partnerId, locale, channel, phoneNumber, replyTo, personalNote, signature, customTemplateId, sendAt, timezone, enrollmentId, stepIndex }) => {
+  const now = new Date().toISOString();
+  const { data, error } = await supabase
+    .from('scheduled_nudges')
+    .insert({
+      partner_id: partnerId,
+      recipient_email: recipientEmail.toLowerCase(),
+      recipient_name: recipientName,
+      referrer_name: referrerName,
+      nudge_type: nudgeType,
+      tier: tier,
+      locale: locale || null,
+      channel: channel || 'email',
+      phone_number: phoneNumber || null,
+      reply_to: replyTo || null,
+      personal_note: personalNote || null,
+      signature: signature || null,
+      custom_template_id: customTemplateId || null,
+      send_at: sendAt,
+      timezone: timezone,
+      status: 'pending',
+      attempts: 0,
+      enrollment_id: enrollmentId || null,
+      step_index: stepIndex ?? null,
+      created_at: now,
+      updated_at: now
+    })
+    .select();
+
+  if (error) {
+    throw new Error(`Failed to schedule nudge: ${error.message}`);
+  }
+
+  console.log(`[Scheduler] Queued ${nudgeType} for ${recipientEmail} at ${sendAt}`);
+  return data[0];
+};
+
+/**
+ * Delay before the next attempt of a job that has failed `attempts` times: ~1m, 2m, 4m ... capped at 1h, jittered
+ * A provider Retry-After longer than that wins
+ */
+const getQueueRetryDelayMs = (attempts, retryAfterMs) => Math.max(
+  withJitter(Math.min(QUEUE_RETRY_BASE_MS * Math.pow(2, attempts - 1), QUEUE_RETRY_MAX_MS)),
+  retryAfterMs || 0
+);
+
+/**
+ * Update a scheduled job's status
+ */
+const updateScheduledNudge = async (id, fields) => {
+  const { error } = await supabase
+    .from('scheduled_nudges')
+    .update({ ...fields, updated_at: new Date().toISOString() })
+    .eq('id', id);
+
+  if (error) {
+    console.warn(`[Scheduler] Warning updating job ${id}: ${error.message}`);
+  }
+};
+
+/**
+ * Claim a pending job so only one worker dispatches it
+ * Returns: true if this worker now owns the job
+ */
+const claimScheduledNudge = async (id) => {
+  const { data, error } = await supabase
+    .from('scheduled_nudges')
+    .update({ status: 'processing', updated_at: new Date().toISOString() })
+    .eq('id', id)
+    .eq('status', 'pending')
+    .select('id');
+
+  return !error && data && data.length > 0;
+};
+
+/**
+ * Dispatch a single due job through the normal nudge pipeline
+ */
+const runScheduledNudge = async (job) => {
+  if (!(await claimScheduledNudge(job.id))) return;
+
+  const nudge = {
+    recipientEmail: job.recipient_email,
+    recipientName: job.recipient_name,
+    referrerName: job.referrer_name,
+    nudgeType: job.nudge_type,
+    tier: job.tier,
+    partnerId: job.partner_id,
+    locale: job.locale,
+    channel: job.channel || 'email',
+    phoneNumber: job.phone_number,
+    replyTo: job.reply_to,
+    personalNote: job.personal_note,
+    signature: job.signature
+  };
+  const attempts = job.attempts || 0;
+
+  try {
+    if (!emailTemplates[nudge.nudgeType]) {
+      return updateScheduledNudge(job.id, { status: 'failed', error: `Unknown nudgeType: ${nudge.nudgeType}` });
+    }
+
+    // Custom copy may have been revoked by compliance since the job was queued
+    if (job.custom_template_id) {
+      nudge.template = await getApprovedCustomTemplateById(job.custom_template_id);
+      if (!nudge.template) {
+        return updateScheduledNudge(job.id, { status: 'failed', error: `Custom template ${job.custom_template_id} is no longer approved` });
+      }
+    }
+
+    const block = await checkSuppression(nudge.recipientEmail)
+      || await checkNudgeLimits(nudge, { skipCooldown: Boolean(job.enrollment_id) });
+    if (block) {
+      console.warn(`[Scheduler] ⚠️ Job ${job.id} blocked: ${block.message}`);
+      await updateScheduledNudge(job.id, { status: 'blocked', error: block.message });
+    } else {
+      // One transport attempt per run - retries are spaced out by the queue instead of blocking the worker
+      const info = await dispatchNudge(nudge, { maxRetries: 1, recordFailure: false });
+      await updateScheduledNudge(job.id, { status: 'sent', attempts: attempts + 1, message_id: info.messageId, error: null });
+      console.log(`[Scheduler] ✅ Job ${job.id} sent to ${nudge.recipientEmail}`);
+    }
+  } catch (err) {
+    const errorMsg = err.response?.data?.message || err.message;
+
+    if (err.code === 'CIRCUIT_OPEN') {
+      // The provider was never called - wait out the breaker without using up an attempt
+      const retryAt = new Date(Date.now() + err.retryAfterMs).toISOString();
+      await updateScheduledNudge(job.id, { status: 'pending', send_at: retryAt });
+      return;
+    }
+
+    if (err.code === 'COMPLIANCE_BLOCKED') {
+      console.error(`[Scheduler] ❌ Job ${job.id} blocked: ${errorMsg}`);
+      await recordNudgeHistory({ ...nudge, status: 'failed', error: errorMsg });
+      await updateScheduledNudge(job.id, { status: 'blocked', attempts: attempts + 1, error: errorMsg });
+    } else if (err.retryable === false || attempts + 1 >= QUEUE_MAX_ATTEMPTS) {
+      const reason = err.retryable === false ? 'permanent failure' : `${attempts + 1} attempts`;
+      console.error(`[Scheduler] ❌ Job ${job.id} dead-lettered after ${reason}: ${errorMsg}`);
+      await recordNudgeHistory({ ...nudge, status: 'failed', error: errorMsg });
+      await updateScheduledNudge(job.id, { status: 'dead', attempts: attempts + 1, error: errorMsg });
+    } else {
+      const retryAt = new Date(Date.now() + getQueueRetryDelayMs(attempts + 1, err.retryAfterMs)).toISOString();
+      console.warn(`[Scheduler] ⚠️ Job ${job.id} attempt ${attempts + 1} failed, retrying at ${retryAt}: ${errorMsg}`);
+      await updateScheduledNudge(job.id, { status: 'pending', attempts: attempts + 1, send_at: retryAt, error: errorMsg });
+      // Not finished yet - leave the enrollment open for the retry
+      return;
+    }
+  }
+
+  if (job.enrollment_id) {
+    await completeEnrollmentIfDone(job.enrollment_id);
+  }
+};
+
+/**
+ * Return jobs whose claim has outlived QUEUE_LEASE_MS to the queue
+ * Claims younger than that may still be in flight on another worker and are left alone
+ */
+const reclaimStaleNudges = async () => {
+  const { data, error } = await supabase
+    .from('scheduled_nudges')
+    .update({ status: 'pending', updated_at: new Date().toISOString() })
+    .eq('status', 'processing')
+    .lt('updated_at', new Date(Date.now() - QUEUE_LEASE_MS).toISOString())
+    .select('id');
+
+  if (error) {
+    console.warn(`[Scheduler] Warning recovering interrupted jobs: ${error.message}`);
+  } else if (data && data.length > 0) {
+    console.warn(`[Scheduler] ⚠️ Returned ${data.length} interrupted job(s) to the queue`);
+  }
+};
+
+let schedulerRunning = false;
+let schedulerRerun = false;
+
+/**
+ * One pass of the worker loop: recover stale claims, then dispatch every job that is due
+ * A pass requested while one is already running is run straight after it
+ */
+const processDueNudges = async () => {
+  if (schedulerRunning) {
+    schedulerRerun = true;
+    return;
+  }
+  schedulerRunning = true;
+
+  try {
+    await reclaimStaleNudges();
+
+    const { data, error } = await supabase
+      .from('scheduled_nudges')
+      .select('*')
+      .eq('status', 'pending')
+      .lte('send_at', new Date().toISOString())
+      .order('send_at', { ascending: true })
+      .limit(SCHEDULER_BATCH_SIZE);
+
+    if (error) {
+      console.warn(`[Scheduler] Warning fetching due jobs: ${error.message}`);
+      return;
+    }
+
+    for (const job of data || []) {
+      await runScheduledNudge(job);
+    }
+  } catch (err) {
+    console.error('[Scheduler] ❌ Error:', err.message);
+  } finally {
+    schedulerRunning = false;
+    if (schedulerRerun) {
+      schedulerRerun = false;
+      setImmediate(processDueNudges);
+    }
+  }
+};
+
+/**
+ * Start the scheduled nudge worker
+ * Each pass first returns stale claims to the queue (see reclaimStaleNudges)
+ */
+const startNudgeScheduler = async () => {
+  if (!supabase) {
+    console.warn('[Scheduler] ⚠️ Supabase not configured - scheduled nudges disabled, sends are delivered inline');
+    return;
+  }
+
+  setInterval(processDueNudges, SCHEDULER_INTERVAL_MS);
+  console.log(`[Scheduler] ✅ Worker started (every ${SCHEDULER_INTERVAL_MS / 1000}s)`);
+  processDueNudges();
+};
+
+/**
+ * GET /api/nudges/scheduled/:partnerId
+ * List a partner's scheduled nudges, soonest first
+ * Query: status (default pending; 'dead' lists dead-lettered sends)
+ * Returns: { success, data }
+ */
+app.get('/api/nudges/scheduled/:partnerId', requireAuth, requirePartnerAccess, async (req, res) => {
+  try {
+    if (!supabase) {
+      return res.status(503).json({ 
+        error: 'Supabase not configured'
+      });
+    }
+
+    const { partnerId } = req.params;
+    const status = req.query.status || 'pending';
+
+    const { data, error } = await supabase
+      .from('scheduled_nudges')
+      .select('*')
+      .eq('partner_id', partnerId)
+      .eq('status', status)
+      .order('send_at', { ascending: true });
+
+    if (error) {
+      console.error('[Scheduler] ❌ Fetch failed:', error.message);
+      return res.status(400).json({ 
+        error: 'Failed to fetch scheduled nudges',
+        details: error.message
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: data || []
+    });
+  } catch (err) {
+    console.error('[Scheduler] ❌ Error:', err.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      details: err.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/nudges/scheduled/:partnerId/:jobId
+ * Cancel a pending scheduled nudge
+ */
+app.delete('/api/nudges/scheduled/:partnerId/:jobId', requireAuth, requirePartnerAccess, async (req, res) => {
+  try {
+    if (!supabase) {
+      return res.status(503).json({ 
+        error: 'Supabase not configured'
+      });
+    }
+
+    const { partnerId, jobId } = req.params;
+
+    const { data, error } = await supabase
+      .from('scheduled_nudges')
+      .update({ status: 'cancelled', updated_at: new Date().toISOString() })
+      .eq('id', jobId)
+      .eq('partner_id', partnerId)
+      .eq('status', 'pending')
+      .select();
+
+    if (error) {
+      console.error('[Scheduler] ❌ Cancel failed:', error.message);
+      return res.status(400).json({ 
+        error: 'Failed to cancel scheduled nudge',
+        details: error.message
+      });
+    }
+
+    if (!data || data.length === 0) {
+      return res.status(404).json({ 
+        error: 'No pending scheduled nudge found with this ID'
+      });
+    }
+
+    console.log(`[Scheduler] ✅ Job ${jobId} cancelled`);
+    res.status(200).json({
+      success: true,
+      message: 'Scheduled nudge cancelled',
+      data: data[0]
+    });
+  } catch (err) {
+    console.error('[Scheduler] ❌ Error:', err.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      details: err.message
+    });
+  }
+});
+
+/**
+ * Shape a scheduled_nudges row for the job status endpoints
+ */
+const formatQueueJob = (row) => ({
+  jobId: row.id,
+  status: row.status,
+  attempts: row.attempts || 0,
+  maxAttempts: QUEUE_MAX_ATTEMPTS,
+  nextAttemptAt: row.status === 'pending' ? row.send_at : null,
+  partnerId: row.partner_id,
+  recipientEmail: row.recipient_email,
+  nudgeType: row.nudge_type,
+  tier: row.tier,
+  channel: row.channel || 'email',
+  messageId: row.message_id || null,
+  error: row.error || null,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+/**
+ * Queue a nudge for immediate delivery and wake the worker
+ * Returns: the inserted scheduled_nudges row
+ */
+const enqueueNudge = async (nudge) => {
+  const job = await scheduleNudge({ ...nudge, sendAt: new Date().toISOString(), timezone: 'UTC' });
+  setImmediate(processDueNudges);
+  return job;
+};
+
+/**
+ * GET /api/nudges/:jobId/status
+ * Delivery status of one of the caller's queued or scheduled nudges
+ * Returns: { success, data: { jobId, status, attempts, maxAttempts, nextAttemptAt, messageId, error, ... } }
+ */
+app.get('/api/nudges/:jobId/status', requireAuth, async (req, res) => {
+  try {
+    if (!supabase) {
+      return res.status(503).json({ 
+        error: 'Supabase not configured'
+      });
+    }
+
+    const { data, error } = await supabase
+      .from('scheduled_nudges')
+      .select('*')
+      .eq('id', req.params.jobId)
+      .eq('partner_id', req.auth.partnerId)
+      .limit(1);
+
+    if (error) {
+      console.error('[Scheduler] ❌ Status fetch failed:', error.message);
+      return res.status(400).json({ 
+        error: 'Failed to fetch nudge status',
+        details: error.message
+      });
+    }
+
+    if (!data || data.length === 0) {
+      return res.status(404).json({ 
+        error: 'No nudge job found with this ID'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: formatQueueJob(data[0])
+    });
+  } catch (err) {
+    console.error('[Scheduler] ❌ Error:', err.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      details: err.message
+    });
+  }
+});
+
+/**
+ * POST /api/nudges/:jobId/requeue
+ * Put one of the caller's dead-lettered nudges back on the queue with a fresh set of attempts
+ * Suppression and frequency limits are checked again when it is dispatched
+ * Returns: 202 { success, data }
+ */
+app.post('/api/nudges/:jobId/requeue', requireAuth, async (req, res) => {
+  try {
+    if (!supabase) {
+      return res.status(503).json({ 
+        error: 'Supabase not configured'
+      });
+    }
+
+    const { jobId } = req.params;
+    const now = new Date().toISOString();
+
+    const { data, error } = await supabase
+      .from('scheduled_nudges')
+      .update({ status: 'pending', attempts: 0, send_at: now, error: null, updated_at: now })
+      .eq('id', jobId)
+      .eq('partner_id', req.auth.partnerId)
+      .eq('status', 'dead')
+      .select();
+
+    if (error) {
+      console.error('[Scheduler] ❌ Requeue failed:', error.message);
+      return res.status(400).json({ 
+        error: 'Failed to requeue nudge',
+        details: error.message
+      });
+    }
+
+    if (!data || data.length === 0) {
+      return res.status(404).json({ 
+        error: 'No dead-lettered nudge found with this ID'
+      });
+    }
+
+    setImmediate(processDueNudges);
+
+    console.log(`[Scheduler] ✅ Job ${jobId} requeued`);
+    res.status(202).json({
+      success: true,
+      message: 'Nudge requeued',
+      data: formatQueueJob(data[0])
+    });
+  } catch (err) {
+    console.error('[Scheduler] ❌ Error:', err.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      details: err.message
+    });
+  }
+});
+
+// ============= DRIP SEQUENCES =============
+// A sequence is an ordered list of steps; enrolling a client queues every step as a scheduled nudge.
+// delayDays counts calendar days from enrollment in the client's time zone. Exiting cancels any steps that have
+// not gone out yet; an enrollment whose steps could not all be queued is marked failed and its steps cancelled.
+// sequence_enrollments (id, partner_id, sequence_id, recipient_email, recipient_name, referrer_name, tier, locale,
+//                       status, exit_reason, enrolled_at, updated_at)
+// status: active -> completed | exited | failed
+
+const nudgeSequences = {
+  'kyc-onboarding': {
+    name: 'KYC Onboarding',
+    description: 'KYC reminders on day 1, day 3 and day 7 until the client is verified',
+    exitOn: ['kyc_completed', 'funded'],
+    steps: [
+      { delayDays: 0, nudgeType: 'Complete KYC' },
+      { delayDays: 2, nudgeType: 'Complete KYC' },
+      { delayDays: 6, nudgeType: 'Complete KYC' }
+    ]
+  },
+  'funding-onboarding': {
+    name: 'Funding Onboarding',
+    description: 'Funding reminders on day 1, day 4 and day 10 for verified clients',
+    exitOn: ['funded'],
+    steps: [
+      { delayDays: 0, nudgeType: 'Fund Account' },
+      { delayDays: 3, nudgeType: 'Fund Account' },
+      { delayDays: 9, nudgeType: 'Fund Account' }
+    ]
+  }
+};
+
+const SEQUENCE_EXIT_EVENTS = ['kyc_completed', 'funded', 'unsubscribed'];
+// Client milestones that count as a nudge conversion (see NUDGE ANALYTICS)
+const CONVERSION_EVENTS = ['kyc_completed', 'funded'];
+const SEQUENCE_CALLBACK_SECRET = process.env.SEQUENCE_CALLBACK_SECRET;
+if (!SEQUENCE_CALLBACK_SECRET) {
+  console.warn('[Sequences] ⚠️ SEQUENCE_CALLBACK_SECRET not set - status callbacks are disabled');
+}
+// Steps after day 0 go out at this hour of the client's local day
+const SEQUENCE_SEND_HOUR = parseInt(process.env.SEQUENCE_SEND_HOUR, 10) || 9;
+
+/**
+ * Send time of a sequence step: day 0 goes out at enrollment, later steps at SEQUENCE_SEND_HOUR
+ * local time, delayDays calendar days after the enrollment day in the client's time zone
+ * Returns: { sendAt } or { error } (see resolveSendAt)
+ */
+const getSequenceStepSendAt = (enrolledAt, delayDays, timezone) => {
+  let offsetMs;
+  try {
+    offsetMs = getTimeZoneOffsetMs(enrolledAt, timezone);
+  } catch (err) {
+    return { error: `Invalid timezone: ${timezone}` };
+  }
+  if (!delayDays) return { sendAt: enrolledAt.toISOString() };
+
+  const local = new Date(enrolledAt.getTime() + offsetMs);
+  const day = new Date(Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate() + delayDays));
+  const hour = String(SEQUENCE_SEND_HOUR).padStart(2, '0');
+  return resolveSendAt(`${day.toISOString().slice(0, 10)}T${hour}:00`, timezone);
+};
+
+/**
+ * Exit an enrollment and cancel its remaining steps
+ */
+const exitEnrollment = async (enrollmentId, reason) => {
+  const now = new Date().toISOString();
+
+  const { error: cancelError } = await supabase
+    .from('scheduled_nudges')
+    .update({ status: 'cancelled', error: `Sequence exited: ${reason}`, updated_at: now })
+    .eq('enrollment_id', enrollmentId)
+    .eq('status', 'pending');
+
+  if (cancelError) {
+    throw new Error(`Failed to cancel sequence steps: ${cancelError.message}`);
+  }
+
+  const { error } = await supabase
+    .from('sequence_enrollments')
+    .update({ status: 'exited', exit_reason: reason, updated_at: now })
+    .eq('id', enrollmentId);
+
+  if (error) {
+    throw new Error(`Failed to exit enrollment: ${error.message}`);
+  }
+
+  console.log(`[Sequences] Enrollment ${enrollmentId} exited (${reason})`);
+};
+
+/**
+ * Exit every active enrollment for a client whose sequence ends on this event
+ * Unsubscribing ends every sequence; other events only end sequences that list them
+ * Returns: the exited enrollment IDs
+ */
+const exitEnrollmentsForEvent = async (recipientEmail, event) => {
+  const { data, error } = await supabase
+    .from('sequence_enrollments')
+    .select('id, sequence_id')
+    .eq('recipient_email', recipientEmail.trim().toLowerCase())
+    .eq('status', 'active');
+
+  if (error) {
+    throw new Error(`Failed to fetch enrollments: ${error.message}`);
+  }
+
+  const toExit = (data || []).filter(enrollment => {
+    const sequence = nudgeSequences[enrollment.sequence_id];
+    return event === 'unsubscribed' || !sequence || sequence.exitOn.includes(event);
+  });
+
+  for (const enrollment of toExit) {
+    await exitEnrollment(enrollment.id, event);
+  }
+
+  return toExit.map(enrollment => enrollment.id);
+};
+
+/**
+ * Record a client lifecycle event (KYC completed, funded) for conversion analytics
+ * Table: client_events (id, email, event, partner_id, occurred_at, created_at)
+ * Never throws - a missed analytics row must not fail the status callback
+ */
+const recordClientEvent = async (recipientEmail, event, { partnerId, occurredAt } = {}) => {
+  const { error } = await supabase
+    .from('client_events')
+    .insert({
+      email: recipientEmail.trim().toLowerCase(),
+      event: event,
+      partner_id: partnerId || null,
+      occurred_at: occurredAt || new Date().toISOString(),
+      created_at: new Date().toISOString()
+    });
+
+  if (error) {
+    console.warn(`[Sequences] Warning recording client event: ${error.message}`);
+  }
+};
+
+/**
+ * Mark an active enrollment completed once none of its steps are still queued
+ */
+const completeEnrollmentIfDone = async (enrollmentId) => {
+  const { count, error } = await supabase
+    .from('scheduled_nudges')
+    .select('id', { count: 'exact', head: true })
+    .eq('enrollment_id', enrollmentId)
+    .in('status', ['pending', 'processing']);
+
+  if (error || count > 0) return;
+
+  await supabase
+    .from('sequence_enrollments')
+    .update({ status: 'completed', updated_at: new Date().toISOString() })
+    .eq('id', enrollmentId)
+    .eq('status', 'active');
+};
+
+/**
+ * GET /api/sequences
+ * List available drip sequences
+ */
+app.get('/api/sequences', requireAuth, (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: Object.entries(nudgeSequences).map(([id, sequence]) => ({ id, ...sequence }))
+  });
+});
+
+/**
+ * POST /api/sequences/enroll
+ * Enroll a client into a drip sequence for a partner
+ * Body: { sequenceId, recipientEmail, recipientName, referrerName, tier, partnerId, locale?, timezone? }
+ * Later steps are sent at SEQUENCE_SEND_HOUR in the client's timezone (IANA name, default UTC)
+ * Returns: { success, enrollment, steps }
+ */
+app.post('/api/sequences/enroll', requireAuth, requirePartnerAccess, async (req, res) => {
+  try {
+    if (!supabase) {
+      return res.status(503).json({ 
+        error: 'Supabase not configured'
+      });
+    }
+
+    const { sequenceId, recipientEmail, recipientName, referrerName, tier, partnerId, locale, timezone } = req.body;
+
+    const missing = [];
+    if (!sequenceId) missing.push('sequenceId');
+    if (!recipientEmail) missing.push('recipientEmail');
+    if (!recipientName) missing.push('recipientName');
+    if (!referrerName) missing.push('referrerName');
+    if (!tier) missing.push('tier');
+    if (!partnerId) missing.push('partnerId');
+
+    if (missing.length > 0) {
+      return res.status(400).json({ 
+        error: `Missing required fields: ${missing.join(', ')}`
+      });
+    }
+
+    const sequence = nudgeSequences[sequenceId];
+    if (!sequence) {
+      return res.status(400).json({ 
+        error: `Invalid sequenceId. Must be one of: ${Object.keys(nudgeSequences).join(', ')}`
+      });
+    }
+
+    const unknownTier = findUnknownTier(tier);
+    if (unknownTier) {
+      return res.status(400).json({ 
+        error: unknownTier
+      });
+    }
+
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    if (!emailRegex.test(recipientEmail)) {
+      return res.status(400).json({ 
+        error: 'Invalid email address'
+      });
+    }
+
+    const email = recipientEmail.trim().toLowerCase();
+    const zone = timezone || 'UTC';
+
+    const enrolledAt = new Date();
+    const stepTimes = [];
+    for (const step of sequence.steps) {
+      const scheduled = getSequenceStepSendAt(enrolledAt, step.delayDays, zone);
+      if (scheduled.error) {
+        return res.status(400).json({ 
+          error: scheduled.error
+        });
+      }
+      stepTimes.push(scheduled.sendAt);
+    }
+
+    // One active enrollment per client and sequence
+    const { data: existing, error: existingError } = await supabase
+      .from('sequence_enrollments')
+      .select('id')
+      .eq('sequence_id', sequenceId)
+      .eq('recipient_email', email)
+      .eq('status', 'active')
+      .limit(1);
+
+    if (existingError) {
+      return res.status(400).json({ 
+        error: 'Failed to check existing enrollments',
+        details: existingError.message
+      });
+    }
+
+    if (existing && existing.length > 0) {
+      return res.status(409).json({ 
+        error: 'Client is already enrolled in this sequence',
+        enrollmentId: existing[0].id
+      });
+    }
+
+    const { data, error } = await supabase
+      .from('sequence_enrollments')
+      .insert({
+        partner_id: partnerId,
+        sequence_id: sequenceId,
+        recipient_email: email,
+        recipient_name: recipientName,
+        referrer_name: referrerName,
+        tier: tier,
+        locale: locale || null,
+        status: 'active',
+        enrolled_at: enrolledAt.toISOString(),
+        updated_at: enrolledAt.toISOString()
+      })
+      .select();
+
+    if (error) {
+      console.error('[Sequences] ❌ Enroll failed:', error.message);
+      return res.status(400).json({ 
+        error: 'Failed to enroll client',
+        details: error.message
+      });
+    }
+
+    const enrollment = data[0];
+    const steps = [];
+    try {
+      for (const [stepIndex, step] of sequence.steps.entries()) {
+        const job = await scheduleNudge({
+          recipientEmail: email,
+          recipientName,
+          referrerName,
+          nudgeType: step.nudgeType,
+          tier,
+          partnerId,
+          locale,
+          sendAt: stepTimes[stepIndex],
+          timezone: zone,
+          enrollmentId: enrollment.id,
+          stepIndex
+        });
+        steps.push({ stepIndex, jobId: job.id, nudgeType: job.nudge_type, sendAt: job.send_at });
+      }
+    } catch (stepErr) {
+      // Don't leave a sequence running with only some of its steps queued
+      const now = new Date().toISOString();
+      await supabase
+        .from('scheduled_nudges')
+        .update({ status: 'cancelled', error: `Enrollment failed: ${stepErr.message}`, updated_at: now })
+        .eq('enrollment_id', enrollment.id)
+        .eq('status', 'pending');
+      await supabase
+        .from('sequence_enrollments')
+        .update({ status: 'failed', exit_reason: stepErr.message, updated_at: now })
+        .eq('id', enrollment.id);
+
+      console.error(`[Sequences] ❌ Enrollment ${enrollment.id} failed after ${steps.length} steps:`, stepErr.message);
+      return res.status(500).json({ 
+        error: 'Failed to schedule sequence steps',
+        details: stepErr.message
+      });
+    }
+
+    console.log(`[Sequences] ✅ ${email} enrolled in ${sequenceId} (${steps.length} steps)`);
+    res.status(201).json({
+      success: true,
+      enrollment,
+      steps
+    });
+  } catch (err) {
+    console.error('[Sequences] ❌ Error:', err.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      details: err.message
+    });
+  }
+});
+
+/**
+ * GET /api/sequences/enrollments/:partnerId
+ * List a partner's sequence enrollments
+ * Query: status (active, completed, exited, failed)
+ */
+app.get('/api/sequences/enrollments/:partnerId', requireAuth, requirePartnerAccess, async (req, res) => {
+  try {
+    if (!supabase) {
+      return res.status(503).json({ 
+        error: 'Supabase not configured'
+      });
+    }
+
+    let query = supabase
+      .from('sequence_enrollments')
+      .select('*')
+      .eq('partner_id', req.params.partnerId);
+
+    if (req.query.status) query = query.eq('status', req.query.status);
+
+    const { data, error } = await query.order('enrolled_at', { ascending: false });
+
+    if (error) {
+      console.error('[Sequences] ❌ Fetch failed:', error.message);
+      return res.status(400).json({ 
+        error: 'Failed to fetch enrollments',
+        details: error.message
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: data || []
+    });
+  } catch (err) {
+    console.error('[Sequences] ❌ Error:', err.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      details: err.message
+    });
+  }
+});
+
+/**
+ * POST /api/sequences/enrollments/:enrollmentId/exit
+ * Stop a sequence for one client
+ * Body: { partnerId, reason? }
+ */
+app.post('/api/sequences/enrollments/:enrollmentId/exit', requireAuth, requirePartnerAccess, async (req, res) => {
+  try {
+    if (!supabase) {
+      return res.status(503).json({ 
+        error: 'Supabase not configured'
+      });
+    }
+
+    const { enrollmentId } = req.params;
+    const { partnerId, reason } = req.body;
+
+    if (!partnerId) {
+      return res.status(400).json({ 
+        error: 'Missing required field: partnerId'
+      });
+    }
+
+    const { data, error } = await supabase
+      .from('sequence_enrollments')
+      .select('id')
+      .eq('id', enrollmentId)
+      .eq('partner_id', partnerId)
+      .eq('status', 'active')
+      .limit(1);
+
+    if (error) {
+      return res.status(400).json({ 
+        error: 'Failed to fetch enrollment',
+        details: error.message
+      });
+    }
+
+    if (!data || data.length === 0) {
+      return res.status(404).json({ 
+        error: 'No active enrollment found with this ID'
+      });
+    }
+
+    await exitEnrollment(enrollmentId, reason || 'manual');
+
+    res.status(200).json({
+      success: true,
+      message: 'Sequence stopped'
+    });
+  } catch (err) {
+    console.error('[Sequences] ❌ Error:', err.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      details: err.message
+    });
+  }
+});
+
+/**
+ * POST /api/sequences/events
+ * Status callback: exit every active enrollment whose sequence ends on this event
+ * Body: { recipientEmail, event, partnerId?, occurredAt? } - event is one of kyc_completed, funded, unsubscribed
+ * kyc_completed and funded are also stored as conversions for nudge analytics
+ * Requires X-Callback-Secret; disabled (503) until SEQUENCE_CALLBACK_SECRET is set
+ */
+app.post('/api/sequences/events', async (req, res) => {
+  try {
+    if (!supabase) {
+      return res.status(503).json({ 
+        error: 'Supabase not configured'
+      });
+    }
+
+    if (!SEQUENCE_CALLBACK_SECRET) {
+      return res.status(503).json({ 
+        error: 'Sequence callbacks are disabled',
+        details: 'Set SEQUENCE_CALLBACK_SECRET'
+      });
+    }
+
+    if (!secretMatches(req.get('X-Callback-Secret'), SEQUENCE_CALLBACK_SECRET)) {
+      return res.status(401).json({ 
+        error: 'Invalid callback secret'
+      });
+    }
+
+    const { recipientEmail, event, partnerId, occurredAt } = req.body;
+
+    if (!recipientEmail || !event) {
+      return res.status(400).json({ 
+        error: 'Missing required fields: recipientEmail, event'
+      });
+    }
+
+    if (!SEQUENCE_EXIT_EVENTS.includes(event)) {
+      return res.status(400).json({ 
+        error: `Invalid event. Must be one of: ${SEQUENCE_EXIT_EVENTS.join(', ')}`
+      });
+    }
+
+    if (occurredAt && isNaN(Date.parse(occurredAt))) {
+      return res.status(400).json({ 
+        error: 'Invalid date for occurredAt. Use ISO 8601 format'
+      });
+    }
+
+    if (CONVERSION_EVENTS.includes(event)) {
+      await recordClientEvent(recipientEmail, event, {
+        partnerId,
+        occurredAt: occurredAt ? new Date(occurredAt).toISOString() : undefined
+      });
+    }
+
+    const exited = await exitEnrollmentsForEvent(recipientEmail, event);
+
+    res.status(200).json({
+      success: true,
+      exited
+    });
+  } catch (err) {
+    console.error('[Sequences] ❌ Error:', err.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      details: err.message
+    });
+  }
+});
+
+// ============= UNSUBSCRIBE & SUPPRESSION LIST =============
+// email_suppressions (email, reason, source, partner_id, created_at) - one row per opted-out address
+
+/**
+ * Add an address to the suppression list (idempotent) and stop any drip sequences for it
+ */
+const suppressEmail = async (email, { reason, source, partnerId } = {}) => {
+  const { error } = await supabase
+    .from('email_suppressions')
+    .upsert({
+      email: email.trim().toLowerCase(),
+      reason: reason || 'unsubscribed',
+      source: source || null,
+      partner_id: partnerId || null,
+      created_at: new Date().toISOString()
+    }, { onConflict: 'email', ignoreDuplicates: true });
+
+  if (error) {
+    throw new Error(`Failed to update suppression list: ${error.message}`);
+  }
+
+  console.log(`[Suppression] ${email} suppressed (${reason || 'unsubscribed'})`);
+
+  try {
+    await exitEnrollmentsForEvent(email, 'unsubscribed');
+  } catch (seqErr) {
+    console.warn(`[Suppression] Warning stopping sequences: ${seqErr.message}`);
+  }
+};
+
+/**
+ * Minimal branded page for the unsubscribe flow and tracked-link errors
+ */
+const renderBrandedPage = (title, message, formAction) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <meta name="robots" content="noindex">
+  <title>${escapeHtml(title)} - Nommia</title>
+</head>
+<body style="margin:0;padding:0;background-color:#f3f4f6;font-family:Arial,sans-serif;">
+  <div style="max-width:480px;margin:64px auto;background-color:#ffffff;border:1px solid #e5e7eb;border-radius:8px;padding:32px;text-align:center;">
+    <h1 style="margin:0 0 16px 0;font-size:22px;color:#111827;">${escapeHtml(title)}</h1>
+    <p style="margin:0 0 24px 0;font-size:15px;color:#4b5563;line-height:1.6;">${escapeHtml(message)}</p>
+    ${formAction ? `<form method="POST" action="${escapeHtml(formAction)}">
+      <button type="submit" style="background-color:#E7B744;color:#111827;font-weight:700;font-size:15px;padding:12px 28px;border:0;border-radius:8px;cursor:pointer;">Unsubscribe</button>
+    </form>` : ''}
+  </div>
+</body>
+</html>`;
+
+/**
+ * Decode an unsubscribe token from the URL
+ * Returns: { email, partnerId } or null
+ */
+const readUnsubscribeToken = (token) => {
+  const payload = verifyToken(token, UNSUBSCRIBE_SECRET);
+  if (!payload || payload.purpose !== 'unsubscribe' || !payload.email) return null;
+  return payload;
+};
+
+/**
+ * GET /unsubscribe/:token
+ * Confirmation page - link scanners must not unsubscribe anyone, so this only renders a form
+ */
+app.get('/unsubscribe/:token', (req, res) => {
+  const payload = readUnsubscribeToken(req.params.token);
+  if (!payload) {
+    return res.status(400).send(renderBrandedPage('Invalid link', 'This unsubscribe link is invalid or has been altered.'));
+  }
+
+  res.status(200).send(renderBrandedPage(
+    'Unsubscribe',
+    `Stop receiving Nommia partner messages at ${payload.email}?`,
+    `/unsubscribe/${req.params.token}`
+  ));
+});
+
+/**
+ * POST /unsubscribe/:token
+ * Confirmation form submit and RFC 8058 one-click unsubscribe (List-Unsubscribe=One-Click)
+ */
+app.post('/unsubscribe/:token', express.urlencoded({ extended: false }), async (req, res) => {
+  const payload = readUnsubscribeToken(req.params.token);
+  if (!payload) {
+    return res.status(400).send(renderBrandedPage('Invalid link', 'This unsubscribe link is invalid or has been altered.'));
+  }
+
+  if (!supabase) {
+    return res.status(503).send(renderBrandedPage('Please try again later', 'We could not process your request right now.'));
+  }
+
+  try {
+    const source = req.body && req.body['List-Unsubscribe'] === 'One-Click' ? 'one-click' : 'link';
+    await suppressEmail(payload.email, { reason: 'unsubscribed', source, partnerId: payload.partnerId });
+
+    res.status(200).send(renderBrandedPage(
+      'You have been unsubscribed',
+      `${payload.email} will no longer receive Nommia partner messages.`
+    ));
+  } catch (err) {
+    console.error('[Suppression] ❌ Error:', err.message);
+    res.status(500).send(renderBrandedPage('Please try again later', 'We could not process your request right now.'));
+  }
+});
+
+// ============= PARTNER CUSTOM TEMPLATES =============
+// Partners can write their own copy for a nudge type. Every submission is a new version that compliance
+// must approve before /api/nudges/send will use it (via `customTemplate: <name>`).
+// partner_templates (id, partner_id, name, nudge_type, locale, subject, body, cta_label, version, status,
+//                    review_comment, reviewed_by, reviewed_at, created_at, updated_at)
+// status: pending -> approved | rejected, and approved -> rejected when compliance revokes a version
+// Custom copy is plain text with a fixed set of {{variables}}. It cannot include partials or raw markup and is
+// always rendered inside the shared layout, so the footer with the risk warning and disclaimer is always there.
+
+const COMPLIANCE_ADMIN_KEY = process.env.COMPLIANCE_ADMIN_KEY;
+const CUSTOM_TEMPLATE_LIMITS = { name: 60, subject: 150, body: 5000, ctaLabel: 40 };
+const CUSTOM_TEMPLATE_STATUSES = ['pending', 'approved', 'rejected'];
+const CUSTOM_TEMPLATE_VARIABLES = ['recipientName', 'referrerName', ...TIER_TEMPLATE_VARIABLES];
+const CUSTOM_TEMPLATE_SAMPLE = { recipientName: 'Alex Morgan', referrerName: 'Your Partner' };
+
+/**
+ * Check a custom template submission
+ * Returns: an error message, or null if the submission is valid
+ */
+const validateCustomTemplate = ({ name, nudgeType, subject, body, locale, ctaLabel }) => {
+  const missing = [];
+  if (!name) missing.push('name');
+  if (!nudgeType) missing.push('nudgeType');
+  if (!subject) missing.push('subject');
+  if (!body) missing.push('body');
+  if (missing.length > 0) return `Missing required fields: ${missing.join(', ')}`;
+
+  if (!emailTemplates[nudgeType]) {
+    return `Invalid nudgeType. Must be one of: ${Object.keys(emailTemplates).join(', ')}`;
+  }
+
+  const fields = { name, subject, body, ctaLabel };
+  for (const [field, value] of Object.entries(fields)) {
+    if (value == null) continue;
+    if (typeof value !== 'string') return `Invalid ${field}. Must be a string`;
+    if (value.length > CUSTOM_TEMPLATE_LIMITS[field]) {
+      return `${field} is too long. Maximum is ${CUSTOM_TEMPLATE_LIMITS[field]} characters`;
+    }
+  }
+
+  if (!/^[\w][\w .-]*$/.test(name)) {
+    return 'Invalid name. Use letters, numbers, spaces, dots, dashes and underscores';
+  }
+
+  if (locale != null && (typeof locale !== 'string' || !/^[a-z]{2}(-[a-z]{2})?$/i.test(locale))) {
+    return 'Invalid locale. Use a language code such as en or es-MX';
+  }
+
+  for (const value of [subject, body, ctaLabel]) {
+    for (const [, raw, isPartial, variable] of (value || '').matchAll(TEMPLATE_TAG)) {
+      if (raw || isPartial) {
+        return 'Custom templates cannot use {{{raw}}} or {{> partial}} tags';
+      }
+      if (!CUSTOM_TEMPLATE_VARIABLES.includes(variable)) {
+        return `Unknown variable {{${variable}}}. Allowed: ${CUSTOM_TEMPLATE_VARIABLES.join(', ')}`;
+      }
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Turn an approved partner_templates row into the same shape as a file-based template
+ * Blank lines separate paragraphs; the optional CTA button and the partner signature slot follow the copy
+ */
+const compileCustomTemplate = (row) => {
+  const locale = (row.locale || DEFAULT_LOCALE).toLowerCase();
+  const paragraphs = row.body.trim().split(/\r?\n\s*\r?\n/).map(paragraph =>
+    `          <p style="margin:0 0 24px 0;">${escapeHtml(paragraph.trim()).replace(/\r?\n/g, '<br>')}</p>`);
+  const cta = row.cta_label ? renderTemplateString(resolvePartial('cta', locale), { ctaLabel: row.cta_label }) : '';
+  const body = [...paragraphs, cta, '{{{partnerSignature}}}'].filter(Boolean).join('\n');
+
+  const variables = collectTemplateVariables(templateLayout, locale);
+  collectTemplateVariables(body, locale, variables);
+  collectTemplateVariables(row.subject, locale, variables);
+
+  return {
+    id: `custom-${row.id}`,
+    name: row.name,
+    customTemplateId: row.id,
+    version: row.version,
+    subject: row.subject,
+    title: row.subject,
+    description: '',
+    body,
+    locales: { [locale]: { subject: row.subject, title: row.subject, body, variables: [...variables] } },
+    availableLocales: [locale],
+    requiredVariables: [...variables].filter(name => !SYSTEM_TEMPLATE_VARIABLES.includes(name) && !TIER_TEMPLATE_VARIABLES.has(name)),
+    tiers: null
+  };
+};
+
+/**
+ * Newest approved version of a partner's custom template for a nudge type
+ * Returns: compiled template or null
+ */
+const findApprovedCustomTemplate = async (partnerId, name, nudgeType) => {
+  const { data, error } = await supabase
+    .from('partner_templates')
+    .select('*')
+    .eq('partner_id', partnerId)
+    .eq('name', name)
+    .eq('nudge_type', nudgeType)
+    .eq('status', 'approved')
+    .order('version', { ascending: false })
+    .limit(1);
+
+  if (error) {
+    throw new Error(`Failed to fetch custom template: ${error.message}`);
+  }
+
+  return data && data.length > 0 ? compileCustomTemplate(data[0]) : null;
+};
+
+/**
+ * A specific custom template version, only if it is still approved
+ * Returns: compiled template or null
+ */
+const getApprovedCustomTemplateById = async (id) => {
+  const { data, error } = await supabase
+    .from('partner_templates')
+    .select('*')
+    .eq('id', id)
+    .eq('status', 'approved')
+    .limit(1);
+
+  if (error) {
+    throw new Error(`Failed to fetch custom template: ${error.message}`);
+  }
+
+  return data && data.length > 0 ? compileCustomTemplate(data[0]) : null;
+};
+
+/**
+ * Render a custom template version with sample values, for partners and reviewers
+ * Returns: { subject, html, text, locale, compliance }
+ */
+const previewCustomTemplate = (row, tier) => {
+  const template = compileCustomTemplate(row);
+  const rendered = renderEmailTemplate(template, { ...buildNudgeVariables(CUSTOM_TEMPLATE_SAMPLE), unsubscribeUrl: `${PUBLIC_BASE_URL}/unsubscribe/preview` }, template.availableLocales[0], tier);
+  const email = { locale: rendered.locale, subject: rendered.subject, ...prepareEmailContent(rendered.html) };
+  return { ...email, compliance: lintEmailContent(email) };
+};
+
+/**
+ * Shape a partner_templates row for API responses
+ */
+const formatCustomTemplate = (row) => ({
+  id: row.id,
+  partnerId: row.partner_id,
+  name: row.name,
+  nudgeType: row.nudge_type,
+  locale: row.locale,
+  subject: row.subject,
+  body: row.body,
+  ctaLabel: row.cta_label,
+  version: row.version,
+  status: row.status,
+  reviewComment: row.review_comment,
+  reviewedBy: row.reviewed_by,
+  reviewedAt: row.reviewed_at,
+  createdAt: row.created_at
+});
+
+/**
+ * Require the compliance admin key in X-Admin-Key
+ */
+const requireComplianceAdmin = (req, res, next) => {
+  if (!COMPLIANCE_ADMIN_KEY) {
+    return res.status(503).json({ 
+      error: 'Admin endpoints not configured',
+      details: 'Set COMPLIANCE_ADMIN_KEY in .env'
+    });
+  }
+
+  if (!secretMatches(req.get('X-Admin-Key'), COMPLIANCE_ADMIN_KEY)) {
+    return res.status(401).json({ 
+      error: 'Invalid admin key'
+    });
+  }
+
+  next();
+};
+
+/**
+ * Load one partner_templates row, only if it belongs to partnerId when one is given
+ * Returns: { row } or { status, error } for the response
+ */
+const fetchCustomTemplateRow = async (id, partnerId) => {
+  let query = supabase
+    .from('partner_templates')
+    .select('*')
+    .eq('id', id);
+  if (partnerId != null) query = query.eq('partner_id', partnerId);
+
+  const { data, error } = await query.limit(1);
+
+  if (error) return { status: 400, error: 'Failed to fetch custom template', details: error.message };
+  if (!data || data.length === 0) return { status: 404, error: 'Custom template not found' };
+  return { row: data[0] };
+};
+
+/**
+ * POST /api/nudges/custom-templates
+ * Submit a new version of a partner's custom template for compliance review
+ * Body: { partnerId, name, nudgeType, subject, body, locale?, ctaLabel? }
+ * Returns: 201 { success, data } - the new version, status 'pending'; 422 { violations } if it fails compliance checks
+ */
+app.post('/api/nudges/custom-templates', requireAuth, requirePartnerAccess, async (req, res) => {
+  try {
+    if (!supabase) {
+      return res.status(503).json({ 
+        error: 'Supabase not configured'
+      });
+    }
+
+    const { partnerId, name, nudgeType, subject, body, locale, ctaLabel } = req.body;
+
+    if (!partnerId) {
+      return res.status(400).json({ 
+        error: 'Missing required fields: partnerId'
+      });
+    }
+
+    const validationError = validateCustomTemplate(req.body);
+    if (validationError) {
+      return res.status(400).json({ 
+        error: validationError
+      });
+    }
+
+    // Copy that can never pass the send-time compliance checks is not worth a reviewer's time
+    const draft = { id: 'draft', name, nudge_type: nudgeType, locale, subject, body, cta_label: ctaLabel };
+    const { compliance } = previewCustomTemplate(draft);
+    if (compliance.blocked) {
+      return res.status(422).json({ 
+        error: 'Template blocked by compliance checks',
+        violations: compliance.violations
+      });
+    }
+
+    const { data: latest, error: versionError } = await supabase
+      .from('partner_templates')
+      .select('version')
+      .eq('partner_id', partnerId)
+      .eq('name', name.trim())
+      .order('version', { ascending: false })
+      .limit(1);
+
+    if (versionError) {
+      return res.status(400).json({ 
+        error: 'Failed to submit custom template',
+        details: versionError.message
+      });
+    }
+
+    const now = new Date().toISOString();
+    const { data, error } = await supabase
+      .from('partner_templates')
+      .insert({
+        partner_id: partnerId,
+        name: name.trim(),
+        nudge_type: nudgeType,
+        locale: (locale || DEFAULT_LOCALE).toLowerCase(),
+        subject: subject.trim(),
+        body: body.trim(),
+        cta_label: ctaLabel ? ctaLabel.trim() : null,
+        version: ((latest && latest[0]?.version) || 0) + 1,
+        status: 'pending',
+        created_at: now,
+        updated_at: now
+      })
+      .select();
+
+    if (error) {
+      console.error('[Custom Templates] ❌ Submit failed:', error.message);
+      return res.status(400).json({ 
+        error: 'Failed to submit custom template',
+        details: error.message
+      });
+    }
+
+    console.log(`[Custom Templates] ✅ ${partnerId} submitted "${data[0].name}" v${data[0].version} for review`);
+    res.status(201).json({
+      success: true,
+      data: formatCustomTemplate(data[0])
+    });
+  } catch (err) {
+    console.error('[Custom Templates] ❌ Error:', err.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      details: err.message
+    });
+  }
+});
+
+/**
+ * GET /api/nudges/custom-templates/:partnerId
+ * List a partner's custom template versions, newest first
+ * Query: status (pending|approved|rejected), name
+ */
+app.get('/api/nudges/custom-templates/:partnerId', requireAuth, requirePartnerAccess, async (req, res) => {
+  try {
+    if (!supabase) {
+      return res.status(503).json({ 
+        error: 'Supabase not configured'
+      });
+    }
+
+    const { status, name } = req.query;
+    if (status && !CUSTOM_TEMPLATE_STATUSES.includes(status)) {
+      return res.status(400).json({ 
+        error: `Invalid status. Must be one of: ${CUSTOM_TEMPLATE_STATUSES.join(', ')}`
+      });
+    }
+
+    let query = supabase
+      .from('partner_templates')
+      .select('*')
+      .eq('partner_id', req.params.partnerId);
+
+    if (status) query = query.eq('status', status);
+    if (name) query = query.eq('name', name);
+
+    const { data, error } = await query.order('created_at', { ascending: false });
+
+    if (error) {
+      return res.status(400).json({ 
+        error: 'Failed to fetch custom templates',
+        details: error.message
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: (data || []).map(formatCustomTemplate)
+    });
+  } catch (err) {
+    console.error('[Custom Templates] ❌ Error:', err.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      details: err.message
+    });
+  }
+});
+
+/**
+ * GET /api/nudges/custom-templates/:partnerId/:id/preview
+ * Render one of the partner's versions (any status) with sample recipient values
+ * Query: tier
+ */
+app.get('/api/nudges/custom-templates/:partnerId/:id/preview', requireAuth, requirePartnerAccess, async (req, res) => {
+  try {
+    if (!supabase) {
+      return res.status(503).json({ 
+        error: 'Supabase not configured'
+      });
+    }
+
+    const unknownTier = findUnknownTier(req.query.tier);
+    if (unknownTier) {
+      return res.status(400).json({ 
+        error: unknownTier
+      });
+    }
+
+    const found = await fetchCustomTemplateRow(req.params.id, req.auth.partnerId);
+    if (!found.row) {
+      return res.status(found.status || 404).json({ 
+        error: found.error || 'Custom template not found',
+        details: found.details
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      ...previewCustomTemplate(found.row, req.query.tier)
+    });
+  } catch (err) {
+    console.error('[Custom Templates] ❌ Preview error:', err.message);
+    res.status(500).json({
+      error: 'Failed to render preview',
+      details: err.message
+    });
+  }
+});
+
+/**
+ * GET /api/admin/custom-templates
+ * Compliance review queue, oldest first
+ * Query: status (default pending), partnerId
+ * Requires X-Admin-Key
+ */
+app.get('/api/admin/custom-templates', requireComplianceAdmin, async (req, res) => {
+  try {
+    if (!supabase) {
+      return res.status(503).json({ 
+        error: 'Supabase not configured'
+      });
+    }
+
+    const status = req.query.status || 'pending';
+    if (!CUSTOM_TEMPLATE_STATUSES.includes(status)) {
+      return res.status(400).json({ 
+        error: `Invalid status. Must be one of: ${CUSTOM_TEMPLATE_STATUSES.join(', ')}`
+      });
+    }
+
+    let query = supabase
+      .from('partner_templates')
+      .select('*')
+      .eq('status', status);
+
+    if (req.query.partnerId) query = query.eq('partner_id', req.query.partnerId);
+
+    const { data, error } = await query.order('created_at', { ascending: true });
+
+    if (error) {
+      return res.status(400).json({ 
+        error: 'Failed to fetch review queue',
+        details: error.message
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: (data || []).map(formatCustomTemplate)
+    });
+  } catch (err) {
+    console.error('[Custom Templates] ❌ Error:', err.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      details: err.message
+    });
+  }
+});
+
+/**
+ * GET /api/admin/custom-templates/:id/preview
+ * Render a submitted version with sample values for review
+ * Query: tier
+ * Requires X-Admin-Key
+ */
+app.get('/api/admin/custom-templates/:id/preview', requireComplianceAdmin, async (req, res) => {
+  try {
+    if (!supabase) {
+      return res.status(503).json({ 
+        error: 'Supabase not configured'
+      });
+    }
+
+    const unknownTier = findUnknownTier(req.query.tier);
+    if (unknownTier) {
+      return res.status(400).json({ 
+        error: unknownTier
+      });
+    }
+
+    const found = await fetchCustomTemplateRow(req.params.id);
+    if (!found.row) {
+      return res.status(found.status).json({ 
+        error: found.error,
+        details: found.details
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      template: formatCustomTemplate(found.row),
+      ...previewCustomTemplate(found.row, req.query.tier)
+    });
+  } catch (err) {
+    console.error('[Custom Templates] ❌ Preview error:', err.message);
+    res.status(500).json({
+      error: 'Failed to render preview',
+      details: err.message
+    });
+  }
+});
+
+/**
+ * Shared handler for approve/reject
+ * allowedFrom: statuses the version may move out of
+ */
+const reviewCustomTemplate = (status, allowedFrom) => async (req, res) => {
+  try {
+    if (!supabase) {
+      return res.status(503).json({ 
+        error: 'Supabase not configured'
+      });
+    }
+
+    const { reviewer, comment } = req.body;
+
+    const missing = [];
+    if (!reviewer) missing.push('reviewer');
+    if (status === 'rejected' && !comment) missing.push('comment');
+
+    if (missing.length > 0) {
+      return res.status(400).json({ 
+        error: `Missing required fields: ${missing.join(', ')}`
+      });
+    }
+
+    const found = await fetchCustomTemplateRow(req.params.id);
+    if (!found.row) {
+      return res.status(found.status).json({ 
+        error: found.error,
+        details: found.details
+      });
+    }
+
+    if (!allowedFrom.includes(found.row.status)) {
+      return res.status(409).json({ 
+        error: `Template is ${found.row.status} and cannot be ${status}`
+      });
+    }
+
+    const now = new Date().toISOString();
+    const { data, error } = await supabase
+      .from('partner_templates')
+      .update({
+        status,
+        review_comment: comment || null,
+        reviewed_by: reviewer,
+        reviewed_at: now,
+        updated_at: now
+      })
+      .eq('id', found.row.id)
+      .eq('status', found.row.status)
+      .select();
+
+    if (error) {
+      return res.status(400).json({ 
+        error: 'Failed to update custom template',
+        details: error.message
+      });
+    }
+
+    if (!data || data.length === 0) {
+      return res.status(409).json({ 
+        error: 'Template was reviewed by someone else, reload and try again'
+      });
+    }
+
+    console.log(`[Custom Templates] ✅ ${reviewer} ${status} "${data[0].name}" v${data[0].version} for ${data[0].partner_id}`);
+    res.status(200).json({
+      success: true,
+      data: formatCustomTemplate(data[0])
+    });
+  } catch (err) {
+    console.error('[Custom Templates] ❌ Review error:', err.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      details: err.message
+    });
+  }
+};
+
+/**
+ * POST /api/admin/custom-templates/:id/approve
+ * Body: { reviewer, comment? }
+ * Requires X-Admin-Key
+ */
+app.post('/api/admin/custom-templates/:id/approve', requireComplianceAdmin, reviewCustomTemplate('approved', ['pending']));
+
+/**
+ * POST /api/admin/custom-templates/:id/reject
+ * Reject a pending version, or revoke an approved one
+ * Body: { reviewer, comment }
+ * Requires X-Admin-Key
+ */
+app.post('/api/admin/custom-templates/:id/reject', requireComplianceAdmin, reviewCustomTemplate('rejected', ['pending', 'approved']));
+
+// ============= DELIVERY WEBHOOKS =============
+// Brevo posts transactional events to POST /api/webhooks/brevo?token=<BREVO_WEBHOOK_SECRET>
+// (or with an "Authorization: Bearer <secret>" header). Every event is stored, and the matching
+// nudge_history row moves forward through sent -> delivered -> opened -> clicked.
+// email_events (id, message_id, email, event, status, link, reason, occurred_at, created_at)
+// nudge_history delivery columns: delivered_at, opened_at, clicked_at, bounced_at, complained_at, last_event_at
+
+const BREVO_WEBHOOK_SECRET = process.env.BREVO_WEBHOOK_SECRET;
+
+// Brevo event -> our delivery status; rank stops late events from moving a message backwards
+const BREVO_EVENT_STATUS = {
+  request: 'sent',
+  deferred: 'deferred',
+  soft_bounce: 'deferred',
+  delivered: 'delivered',
+  opened: 'opened',
+  unique_opened: 'opened',
+  proxy_open: 'opened',
+  click: 'clicked',
+  hard_bounce: 'bounced',
+  invalid_email: 'bounced',
+  blocked: 'blocked',
+  error: 'failed',
+  spam: 'complained',
+  unsubscribed: 'unsubscribed'
+};
+
+const DELIVERY_STATUS_RANK = {
+  failed: 0,
+  sent: 1,
+  deferred: 2,
+  delivered: 3,
+  opened: 4,
+  clicked: 5,
+  bounced: 6,
+  blocked: 6,
+  unsubscribed: 7,
+  complained: 8
+};
+
+const DELIVERY_STATUS_TIMESTAMP = {
+  delivered: 'delivered_at',
+  opened: 'opened_at',
+  clicked: 'clicked_at',
+  bounced: 'bounced_at',
+  complained: 'complained_at'
+};
+
+// Events that mean we must stop emailing the address
+const SUPPRESSING_EVENTS = {
+  hard_bounce: 'hard_bounce',
+  invalid_email: 'hard_bounce',
+  spam: 'spam_complaint',
+  unsubscribed: 'unsubscribed'
+};
+
+/**
+ * Check the webhook secret from the Authorization header or ?token=
+ */
+const isAuthorizedWebhook = (req) => {
+  const bearer = (req.get('Authorization') || '').replace(/^Bearer\s+/i, '');
+  return secretMatches(bearer || req.query.token, BREVO_WEBHOOK_SECRET);
+};
+
+/**
+ * Move a nudge's delivery status forward and stamp the first time each milestone was reached
+ * column/value identify the nudge_history row (message_id from Brevo, tracking_id from our own links)
+ */
+const applyDeliveryStatus = async (column, value, status, occurredAt) => {
+  const { data, error } = await supabase
+    .from('nudge_history')
+    .select('id, status, delivered_at, opened_at, clicked_at, bounced_at, complained_at')
+    .eq(column, value)
+    .limit(1);
+
+  if (error) throw new Error(`Failed to fetch nudge: ${error.message}`);
+  if (!data || data.length === 0) return false;
+
+  const nudge = data[0];
+  const update = { last_event_at: occurredAt };
+
+  if ((DELIVERY_STATUS_RANK[status] ?? 0) > (DELIVERY_STATUS_RANK[nudge.status] ?? 0)) {
+    update.status = status;
+  }
+
+  // An open or click proves delivery even if the delivered event is late or missing
+  const milestones = status === 'clicked' ? ['delivered', 'opened', 'clicked']
+    : status === 'opened' ? ['delivered', 'opened']
+    : [status];
+  for (const milestone of milestones) {
+    const column = DELIVERY_STATUS_TIMESTAMP[milestone];
+    if (column && !nudge[column]) update[column] = occurredAt;
+  }
+
+  const { error: updateError } = await supabase
+    .from('nudge_history')
+    .update(update)
+    .eq('id', nudge.id);
+
+  if (updateError) throw new Error(`Failed to update nudge status: ${updateError.message}`);
+  return true;
+};
+
+/**
+ * Store one Brevo event and apply its side effects
+ * Returns: { event, messageId, matched }
+ */
+const processBrevoEvent = async (payload) => {
+  const event = payload.event;
+  const messageId = payload['message-id'] || payload.messageId || null;
+  const email = typeof payload.email === 'string' ? payload.email.trim().toLowerCase() : null;
+  const status = BREVO_EVENT_STATUS[event];
+  const occurredAt = payload.ts_event
+    ? new Date(payload.ts_event * 1000).toISOString()
+    : (payload.date && !isNaN(Date.parse(payload.date)) ? new Date(payload.date).toISOString() : new Date().toISOString());
+
+  if (!status) {
+    console.warn(`[Webhook] Ignoring unknown Brevo event: ${event}`);
+    return { event, messageId, matched: false };
+  }
+
+  const { error } = await supabase
+    .from('email_events')
+    .insert({
+      message_id: messageId,
+      email: email,
+      event: event,
+      status: status,
+      link: payload.link || null,
+      reason: payload.reason || null,
+      occurred_at: occurredAt,
+      created_at: new Date().toISOString()
+    });
+
+  if (error) {
+    console.warn(`[Webhook] Warning storing event: ${error.message}`);
+  }
+
+  const matched = messageId ? await applyDeliveryStatus('message_id', messageId, status, occurredAt) : false;
+
+  if (SUPPRESSING_EVENTS[event] && email) {
+    await suppressEmail(email, { reason: SUPPRESSING_EVENTS[event], source: 'brevo-webhook' });
+  }
+
+  return { event, messageId, matched };
+};
+
+/**
+ * POST /api/webhooks/brevo
+ * Receive Brevo transactional email events (single event or an array)
+ */
+app.post('/api/webhooks/brevo', async (req, res) => {
+  try {
+    if (!BREVO_WEBHOOK_SECRET) {
+      return res.status(503).json({ 
+        error: 'Webhook not configured',
+        details: 'Set BREVO_WEBHOOK_SECRET in .env'
+      });
+    }
+
+    if (!isAuthorizedWebhook(req)) {
+      console.warn('[Webhook] ❌ Rejected Brevo callback with invalid secret');
+      return res.status(401).json({ 
+        error: 'Invalid webhook secret'
+      });
+    }
+
+    if (!supabase) {
+      return res.status(503).json({ 
+        error: 'Supabase not configured'
+      });
+    }
+
+    const events = Array.isArray(req.body) ? req.body : [req.body];
+    if (events.length === 0 || events.some(event => !event || typeof event.event !== 'string')) {
+      return res.status(400).json({ 
+        error: 'Invalid payload: expected a Brevo event object or an array of them'
+      });
+    }
+
+    const results = [];
+    for (const event of events) {
+      results.push(await processBrevoEvent(event));
+    }
+
+    console.log(`[Webhook] ✅ Processed ${results.length} Brevo event(s)`);
+    res.status(200).json({
+      success: true,
+      processed: results.length,
+      results
+    });
+  } catch (err) {
+    console.error('[Webhook] ❌ Error:', err.message);
+    res.status(500).json({
+      error: 'Failed to process webhook',
+      details: err.message
+    });
+  }
+});
+
+// ============= TRACKED LINK REDIRECTS =============
+// link_clicks (id, tracking_id, partner_id, campaign, url, user_agent, created_at)
+
+/**
+ * Store a click and mark the nudge as clicked
+ * Never throws - the client must always reach the destination
+ */
+const recordLinkClick = async (payload, userAgent) => {
+  if (!supabase) return;
 
-let supabase = null;
-if (supabaseUrl && supabaseKey) {
-  supabase = createClient(supabaseUrl, supabaseKey);
-  console.log('[Supabase] ✅ Client initialized');
-} else {
-  console.warn('[Supabase] ⚠️ SUPABASE_URL or SUPABASE_KEY not set - payout storage disabled');
-}
+  try {
+    const clickedAt = new Date().toISOString();
+    const { error } = await supabase
+      .from('link_clicks')
+      .insert({
+        tracking_id: payload.trackingId,
+        partner_id: payload.partnerId,
+        campaign: payload.campaign || null,
+        url: payload.url,
+        user_agent: userAgent || null,
+        created_at: clickedAt
+      });
 
-// ============= BREVO EMAIL API CONFIGURATION =============
-console.log('[Init] Loading Brevo API configuration...');
-const BREVO_API_KEY = process.env.BREVO_API_KEY;
-const BREVO_API_URL = 'https://api.brevo.com/v3/smtp/email';
+    if (error) {
+      console.warn(`[Links] Warning saving click: ${error.message}`);
+    }
 
-const EMAIL_CONFIG = {
-  from: process.env.SMTP_FROM,
-  fromName: process.env.SMTP_FROM_NAME
+    await applyDeliveryStatus('tracking_id', payload.trackingId, 'clicked', clickedAt);
+  } catch (dbErr) {
+    console.warn(`[Links] Database error: ${dbErr.message}`);
+  }
 };
 
-// Test Brevo API connection
-if (BREVO_API_KEY) {
-  console.log('[Email] ✅ Brevo API key loaded');
-  console.log('[Email] ✅ Using Brevo REST API for email sending (suitable for Render deployment)');
-} else {
-  console.error('[Email] ❌ BREVO_API_KEY not set in .env');
-}
+/**
+ * GET /r/:token
+ * Tracked CTA redirect: record the click against the nudge and partner, then forward with UTM/referral params
+ */
+app.get('/r/:token', async (req, res) => {
+  const payload = verifyToken(req.params.token, LINK_TRACKING_SECRET);
+  if (!payload || payload.purpose !== 'click' || !/^https?:\/\//.test(payload.url || '')) {
+    return res.status(400).send(renderBrandedPage('Invalid link', 'This link is invalid or has been altered.'));
+  }
 
-// ============= EMAIL HELPER FUNCTIONS =============
+  let destination;
+  try {
+    destination = addTrackingParams(payload.url, payload);
+  } catch (err) {
+    return res.status(400).send(renderBrandedPage('Invalid link', 'This link is invalid or has been altered.'));
+  }
+
+  await recordLinkClick(payload, req.get('User-Agent'));
+
+  res.redirect(302, destination);
+});
+
+// ============= NUDGE ANALYTICS =============
+// Funnel per partner, grouped by period, nudge type and tier. Built from nudge_history (delivery columns
+// are filled by the Brevo webhook) and client_events (conversions reported to /api/sequences/events).
+
+const ANALYTICS_GROUPINGS = ['day', 'week', 'month'];
+const ANALYTICS_DEFAULT_DAYS = 30;
+const ANALYTICS_MAX_DAYS = 366;
+const ANALYTICS_PAGE_SIZE = 1000;
+const CONVERSION_WINDOW_DAYS = parseInt(process.env.NUDGE_CONVERSION_WINDOW_DAYS, 10) || 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 /**
- * Send email via Brevo REST API with automatic retry logic
- * Retries up to 3 times with exponential backoff
+ * UTC period key for a timestamp: 2026-03-01 (day), 2026-02-23 (week, starting Monday), 2026-03 (month)
  */
-const sendEmailWithRetry = async (mailOptions, maxRetries = 3) => {
-  let lastError;
-  
-  // Convert nodemailer format to Brevo API format
-  const recipientEmails = Array.isArray(mailOptions.to) ? mailOptions.to : [mailOptions.to];
-  
-  const brevoPayload = {
-    sender: {
-      name: EMAIL_CONFIG.fromName,
-      email: EMAIL_CONFIG.from
-    },
-    to: recipientEmails.map(email => ({
-      email: email,
-      name: email.split('@')[0]
-    })),
-    subject: mailOptions.subject,
-    htmlContent: mailOptions.html || mailOptions.text,
-    textContent: mailOptions.text
-  };
-  
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    try {
-      const response = await axios.post(BREVO_API_URL, brevoPayload, {
-        headers: {
-          'accept': 'application/json',
-          'api-key': BREVO_API_KEY,
-          'content-type': 'application/json'
-        }
-      });
-      
-      console.log(`[Email] ✅ Email sent successfully (Message ID: ${response.data.messageId})`);
-      return { messageId: response.data.messageId };
-    } catch (error) {
-      lastError = error;
-      const errorMsg = error.response?.data?.message || error.message;
-      console.warn(`[Email] ⚠️ Attempt ${attempt} failed: ${errorMsg}`);
-      
-      if (attempt < maxRetries) {
-        // Exponential backoff: 1s, 2s, 4s
-        const delayMs = Math.pow(2, attempt - 1) * 1000;
-        await new Promise(resolve => setTimeout(resolve, delayMs));
-      }
-    }
+const getPeriodKey = (timestamp, groupBy) => {
+  const date = new Date(timestamp);
+  if (groupBy === 'month') {
+    return date.toISOString().slice(0, 7);
   }
-  
-  throw lastError;
+  if (groupBy === 'week') {
+    const daysSinceMonday = (date.getUTCDay() + 6) % 7;
+    return new Date(date.getTime() - daysSinceMonday * DAY_MS).toISOString().slice(0, 10);
+  }
+  return date.toISOString().slice(0, 10);
 };
 
-// ============= EMAIL TEMPLATES =============
+/**
+ * Read every row of a query in pages (PostgREST caps a single response)
+ * buildQuery: () => supabase query without range applied
+ */
+const fetchAllRows = async (buildQuery) => {
+  const rows = [];
+  for (let offset = 0; ; offset += ANALYTICS_PAGE_SIZE) {
+    const { data, error } = await buildQuery().range(offset, offset + ANALYTICS_PAGE_SIZE - 1);
+    if (error) throw new Error(error.message);
+    rows.push(...(data || []));
+    if (!data || data.length < ANALYTICS_PAGE_SIZE) return rows;
+  }
+};
 
-const emailTemplates = {
-  'Complete KYC': {
-    subject: 'Complete Your KYC Verification - Nommia IB',
-    getBody: (recipientName, referrerName) => `
-<!DOCTYPE html>
-<html lang="en" xmlns="http://www.w3.org/1999/xhtml" xmlns:v="urn:schemas-microsoft-com:vml" xmlns:o="urn:schemas-microsoft-com:office:office">
-<head>
-  <meta charset="UTF-8">
-  <!--[if !mso]><!-->
-  <meta http-equiv="X-UA-Compatible" content="IE=edge">
-  <!--<![endif]-->
-  <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <meta name="x-apple-disable-message-reformatting">
-  <title>Complete Your KYC Verification - Nommia</title>
-  <link href="https://fonts.googleapis.com/css2?family=Poppins:wght@400;500;600;700&display=swap" rel="stylesheet">
-  <!--[if mso]>
-  <style>
-    table, td, div, h1, h2, h3, p, a { font-family: Arial, sans-serif !important; }
-  </style>
-  <![endif]-->
-  <style>
-    body, #bodyTable, #bodyCell { height: 100% !important; margin: 0; padding: 0; width: 100% !important; }
-    table { border-collapse: collapse; }
-    img, a img { border: 0; outline: none; text-decoration: none; }
-    h1, h2, h3, h4, h5, h6 { margin: 0; padding: 0; }
-    p { margin: 1em 0; padding: 0; }
-    a { text-decoration: none; }
-  </style>
-</head>
-<body style="margin:0;padding:0;background-color:#f3f4f6;" bgcolor="#f3f4f6">
-  <!--[if mso]>
-  <xml>
-    <o:OfficeDocumentSettings>
-      <o:AllowPNG/>
-      <o:PixelsPerInch>96</o:PixelsPerInch>
-    </o:OfficeDocumentSettings>
-  </xml>
-  <![endif]-->
-  <center>
-    <table align="center" border="0" cellpadding="0" cellspacing="0" width="100%" style="max-width:672px;margin:32px auto;background-color:#ffffff;border-radius:8px;border: 1px solid #e5e7eb;">
-      <!-- HEADER -->
-      <tr>
-        <td align="center" style="background-color:#111827;padding:32px;border-top-left-radius:8px;border-top-right-radius:8px;">
-          <img src="http://img.mailinblue.com/9801547/images/68ad3f184a732_1756184344.png" alt="Nommia Logo" width="180" style="display:block;width:180px;height:auto;border:0;">
-        </td>
-      </tr>
-
-      <!-- BODY -->
-      <tr>
-        <td style="padding:40px 48px;color:#111827;font-family:'Poppins',Arial,sans-serif;font-size:16px;line-height:1.625;">
-          <!-- Partner Badge -->
-          <div style="margin-bottom: 24px;">
-            <span style="background-color:#E7B744; color:#111827; font-family:'Poppins',Arial,sans-serif; font-size:11px; font-weight:700; padding:4px 10px; border-radius:4px; text-transform:uppercase; letter-spacing:1px; display:inline-block;">
-              Partner Message
-            </span>
-          </div>
-
-          <p style="margin:0 0 16px 0;">Hi ${recipientName},</p>
-          <p style="margin:0 0 16px 0;">My name is <strong>${referrerName}</strong>, and I'm a Nommia partner associated with your account.</p>
-          <p style="margin:0 0 24px 0;">I noticed you recently started your journey with Nommia but haven't quite finished your account verification (KYC) yet. I wanted to reach out personally to see if you needed any help getting over the finish line.</p>
-          
-          <p style="margin:0 0 24px 0;">Completing this step is the only thing standing between you and the markets. Once verified, you'll unlock:</p>
-
-          <!-- HIGHLIGHT BOX -->
-          <table border="0" cellpadding="0" cellspacing="0" width="100%" style="background-color:#f9fafb;border-radius:8px;margin-bottom:32px;border:1px dashed #DAA934;">
-            <tr>
-              <td style="padding:24px;">
-                <table border="0" cellpadding="0" cellspacing="0" width="100%" style="margin-bottom:12px;"><tr><td width="24" valign="top"><img src="https://img.icons8.com/ios-filled/24/DAA934/ok.png" width="18" height="18"></td><td style="padding-left:12px; font-size:15px; color:#374151;">Full access to live trading and deposits</td></tr></table>
-                <table border="0" cellpadding="0" cellspacing="0" width="100%" style="margin-bottom:12px;"><tr><td width="24" valign="top"><img src="https://img.icons8.com/ios-filled/24/DAA934/ok.png" width="18" height="18"></td><td style="padding-left:12px; font-size:15px; color:#374151;">World-class risk management tools</td></tr></table>
-                <table border="0" cellpadding="0" cellspacing="0" width="100%;"><tr><td width="24" valign="top"><img src="https://img.icons8.com/ios-filled/24/DAA934/ok.png" width="18" height="18"></td><td style="padding-left:12px; font-size:15px; color:#374151;">Social trading and managed account options</td></tr></table>
-              </td>
-            </tr>
-          </table>
-
-          <!-- CALL TO ACTION -->
-          <table border="0" cellspacing="0" cellpadding="0" width="100%" style="margin-bottom: 32px;">
-            <tr>
-              <td align="center">
-                  <a href="https://login.nommia.io/#/login" style="background:linear-gradient(90deg, #E7B744, #BC8C1B); background-color:#E7B744; color:#ffffff;font-weight:700;padding:14px 32px;border-radius:8px;text-decoration:none;display:inline-block;font-size:16px;font-family:'Poppins',Arial,sans-serif;">
-                    Complete My Verification
-                  </a>
-              </td>
-            </tr>
-          </table>
-
-          <!-- VIDEO GUIDE SMALL -->
-          <p style="text-align:center; font-size:14px; color:#4b5563; margin-bottom:12px;">Unsure how to upload your documents?</p>
-          <div style="text-align:center;">
-            <a href="https://vimeo.com/nommia/howtokyc?share=copy" style="color:#4f46e5; text-decoration:underline; font-weight:600; font-size:14px;">Watch the 2-minute KYC Guide</a>
-          </div>
-          
-          <hr style="border:0; border-top:1px solid #e5e7eb; margin:32px 0;">
-          
-          <p style="font-size:14px; color:#4b5563; margin:0;">I'm here for your trading journey. If you have any questions about the platform or getting started, feel free to reach out.</p>
-        </td>
-      </tr>
-
-      <!-- FOOTER -->
-      <tr>
-        <td style="background-color:#f9fafb;text-align:center;padding:32px 48px;border-bottom-left-radius:8px;border-bottom-right-radius:8px;">
-          <p style="margin:0;font-size:14px;color:#111827;font-weight:600;font-family:'Poppins',Arial,sans-serif;">${referrerName}</p>
-          <p style="margin:4px 0 0 0;font-size:13px;color:#6b7280;font-family:'Poppins',Arial,sans-serif;">Nommia Authorized Independent Partner</p>
-          
-          <p style="margin:24px 0 16px 0;font-size:11px;color:#9ca3af;font-family:'Poppins',Arial,sans-serif;line-height:1.6; text-align: justify;">
-            <strong>Risk Warning:</strong> Trading financial instruments involves significant risk and may not be suitable for all investors. You could lose more than your initial deposit. Please ensure you fully understand the risks involved. <strong>Disclaimer:</strong> This message is sent to you by an Independent Partner of Nommia. Independent Partners are not employees, agents, or representatives of Nommia Ltd.
-          </p>
-          
-          <p style="margin:0;font-size:11px;color:#9ca3af;font-family:'Poppins',Arial,sans-serif;">
-            Nommia Ltd
-          </p>
-          
-          <p style="margin:16px 0 0 0;font-size:11px;font-family:'Poppins',Arial,sans-serif;">
-            <a href="https://nommia.io/unsubscribe" style="color:#6b7280; text-decoration:underline;">Unsubscribe from Partner communications</a>
-          </p>
-        </td>
-      </tr>
-    </table>
-  </center>
-</body>
-</html>
-    `
-  },
-  
-  'Fund Account': {
-    subject: 'Fund Your Trading Account - Start Trading Today with Nommia',
-    getBody: (recipientName, referrerName) => `
-<!DOCTYPE html>
-<html lang="en" xmlns="http://www.w3.org/1999/xhtml" xmlns:v="urn:schemas-microsoft-com:vml" xmlns:o="urn:schemas-microsoft-com:office:office">
-<head>
-  <meta charset="UTF-8">
-  <!--[if !mso]><!-->
-  <meta http-equiv="X-UA-Compatible" content="IE=edge">
-  <!--<![endif]-->
-  <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <meta name="x-apple-disable-message-reformatting">
-  <title>A Message from your Nommia Partner</title>
-  <link href="https://fonts.googleapis.com/css2?family=Poppins:wght@400;500;600;700&display=swap" rel="stylesheet">
-  <!--[if mso]>
-  <style>
-    table, td, div, h1, h2, h3, p, a { font-family: Arial, sans-serif !important; }
-  </style>
-  <![endif]-->
-  <style>
-    /* Client-specific resets */
-    body, #bodyTable, #bodyCell { height: 100% !important; margin: 0; padding: 0; width: 100% !important; }
-    table { border-collapse: collapse; }
-    img, a img { border: 0; outline: none; text-decoration: none; }
-    h1, h2, h3, h4, h5, h6 { margin: 0; padding: 0; }
-    p { margin: 1em 0; padding: 0; }
-    a { text-decoration: none; }
-  </style>
-</head>
-<body style="margin:0;padding:0;background-color:#f3f4f6;" bgcolor="#f3f4f6">
-  <!-- Outlook DPI Fix -->
-  <!--[if mso]>
-  <xml>
-    <o:OfficeDocumentSettings>
-      <o:AllowPNG/>
-      <o:PixelsPerInch>96</o:PixelsPerInch>
-    </o:OfficeDocumentSettings>
-  </xml>
-  <![endif]-->
-  <center>
-    <table align="center" border="0" cellpadding="0" cellspacing="0" width="100%" style="max-width:672px;margin:32px auto;background-color:#ffffff;border-radius:8px;border: 1px solid #e5e7eb;">
-      <!-- HEADER -->
-      <tr>
-        <td align="center" style="background-color:#111827;padding:32px;border-top-left-radius:8px;border-top-right-radius:8px;">
-          <img src="http://img.mailinblue.com/9801547/images/68ad3f184a732_1756184344.png" alt="Nommia Logo" width="180" style="display:block;width:180px;height:auto;border:0;">
-        </td>
-      </tr>
-
-      <!-- BODY -->
-      <tr>
-        <td style="padding:40px 48px;color:#111827;font-family:'Poppins',Arial,sans-serif;font-size:16px;line-height:1.625;">
-          <!-- Partner Badge -->
-          <div style="margin-bottom: 24px;">
-            <span style="background-color:#E7B744; color:#111827; font-family:'Poppins',Arial,sans-serif; font-size:11px; font-weight:700; padding:4px 10px; border-radius:4px; text-transform:uppercase; letter-spacing:1px; display:inline-block;">
-              Partner Message
-            </span>
-          </div>
-
-          <p style="margin:0 0 16px 0;">Hi @firstName@,</p>
-          <p style="margin:0 0 16px 0;">My name is <strong>@ibName@</strong>, and I’m a Nommia partner associated with your account.</p>
-          <p style="margin:0 0 24px 0;">I noticed your account is fully verified—congratulations! You are now just one final step away from the live markets. To start trading, you simply need to fund your account.</p>
-          
-          <p style="margin:0 0 24px 0;">Once your deposit is confirmed, you'll unlock our full proprietary suite including:</p>
-
-          <!-- HIGHLIGHT BOX -->
-          <table border="0" cellpadding="0" cellspacing="0" width="100%" style="background-color:#f9fafb;border-radius:8px;margin-bottom:32px;border:1px dashed #DAA934;">
-            <tr>
-              <td style="padding:24px;">
-                <table border="0" cellpadding="0" cellspacing="0" width="100%" style="margin-bottom:12px;"><tr><td width="24" valign="top"><img src="https://img.icons8.com/ios-filled/24/DAA934/conference-call.png" width="18" height="18"></td><td style="padding-left:12px; font-size:15px; color:#374151;"><strong>Social Trading:</strong> Copy top-performing strategies automatically</td></tr></table>
-                <table border="0" cellpadding="0" cellspacing="0" width="100%" style="margin-bottom:12px;"><tr><td width="24" valign="top"><img src="https://img.icons8.com/ios-filled/24/DAA934/combo-chart.png" width="18" height="18"></td><td style="padding-left:12px; font-size:15px; color:#374151;"><strong>Live Market Analysis:</strong> Real-time professional dashboards</td></tr></table>
-                <table border="0" cellpadding="0" cellspacing="0" width="100%;"><tr><td width="24" valign="top"><img src="https://img.icons8.com/ios-filled/24/DAA934/settings.png" width="18" height="18"></td><td style="padding-left:12px; font-size:15px; color:#374151;"><strong>Expert Insight Tools:</strong> World-class risk management at your fingertips</td></tr></table>
-              </td>
-            </tr>
-          </table>
-
-          <!-- Demo Account Suggestion -->
-          <p style="margin:0 0 24px 0; font-size:15px; color:#4b5563; text-align:center; font-style: italic;">
-            New to the markets? If you have never traded before, I recommend starting with a <strong>Demo Account</strong> to practice your strategies in a risk-free environment.
-          </p>
-
-          <!-- CALL TO ACTION -->
-          <table border="0" cellspacing="0" cellpadding="0" width="100%" style="margin-bottom: 32px;">
-            <tr>
-              <td align="center">
-                  <a href="https://login.nommia.io/#/login" style="background:linear-gradient(90deg, #E7B744, #BC8C1B); background-color:#E7B744; color:#ffffff;font-weight:700;padding:14px 32px;border-radius:8px;text-decoration:none;display:inline-block;font-size:16px;font-family:'Poppins',Arial,sans-serif;">
-                    Fund My Account & Trade
-                  </a>
-              </td>
-            </tr>
-          </table>
-
-          <!-- VIDEO GUIDE SMALL -->
-          <p style="text-align:center; font-size:14px; color:#4b5563; margin-bottom:12px;">Need help with your first deposit?</p>
-          <div style="text-align:center;">
-            <a href="https://vimeo.com/nommia/howtotopupyourtradingaccount?fl=tl&fe=ec" style="color:#4f46e5; text-decoration:underline; font-weight:600; font-size:14px;">Watch the Deposit Video Guide</a>
-          </div>
-          
-          <hr style="border:0; border-top:1px solid #e5e7eb; margin:32px 0;">
-          
-          <p style="font-size:14px; color:#4b5563; margin:0;">I'm here for your trading journey. If you have any questions about the platform or getting started, feel free to reach out.</p>
-        </td>
-      </tr>
-
-      <!-- FOOTER -->
-      <tr>
-        <td style="background-color:#f9fafb;text-align:center;padding:32px 48px;border-bottom-left-radius:8px;border-bottom-right-radius:8px;">
-          <p style="margin:0;font-size:14px;color:#111827;font-weight:600;font-family:'Poppins',Arial,sans-serif;">@ibName@</p>
-          <p style="margin:4px 0 0 0;font-size:13px;color:#6b7280;font-family:'Poppins',Arial,sans-serif;">Nommia Authorized Independent Partner</p>
-          
-          <p style="margin:24px 0 16px 0;font-size:11px;color:#9ca3af;font-family:'Poppins',Arial,sans-serif;line-height:1.6; text-align: justify;">
-            <strong>Risk Warning:</strong> Trading financial instruments involves significant risk and may not be suitable for all investors. You could lose more than your initial deposit. Please ensure you fully understand the risks involved. <strong>Disclaimer:</strong> This message is sent to you by an Independent Partner of Nommia. Independent Partners are not employees, agents, or representatives of Nommia Ltd.
-          </p>
-          
-          <p style="margin:0;font-size:11px;color:#9ca3af;font-family:'Poppins',Arial,sans-serif;">
-            Nommia Ltd
-          </p>
-          
-          <p style="margin:16px 0 0 0;font-size:11px;font-family:'Poppins',Arial,sans-serif;">
-            <a href="@unsubscribeLink@" style="color:#6b7280; text-decoration:underline;">Unsubscribe from Partner communications</a>
-          </p>
-        </td>
-      </tr>
-    </table>
-  </center>
-</body>
-</html>    `
+/**
+ * Earliest kyc_completed / funded time per recipient, at or after `since`
+ * Returns: Map(email -> { kyc_completed: [ms...], funded: [ms...] })
+ */
+const fetchConversionEvents = async (emails, since) => {
+  const byEmail = new Map();
+  const batchSize = 100;
+
+  for (let i = 0; i < emails.length; i += batchSize) {
+    const batch = emails.slice(i, i + batchSize);
+    const rows = await fetchAllRows(() => supabase
+      .from('client_events')
+      .select('email, event, occurred_at')
+      .in('email', batch)
+      .in('event', CONVERSION_EVENTS)
+      .gte('occurred_at', since)
+      .order('occurred_at', { ascending: true }));
+
+    for (const row of rows) {
+      if (!byEmail.has(row.email)) byEmail.set(row.email, { kyc_completed: [], funded: [] });
+      byEmail.get(row.email)[row.event].push(new Date(row.occurred_at).getTime());
+    }
   }
+
+  return byEmail;
 };
 
+const emptyFunnel = () => ({
+  sent: 0,
+  delivered: 0,
+  opened: 0,
+  clicked: 0,
+  kycCompleted: 0,
+  funded: 0,
+  converted: 0
+});
+
+/**
+ * Add one nudge to a funnel. A nudge converts when the recipient completes KYC or funds
+ * within the conversion window after it was sent.
+ */
+const addToFunnel = (funnel, nudge, conversions, windowMs) => {
+  funnel.sent++;
+  if (nudge.delivered_at || nudge.opened_at || nudge.clicked_at) funnel.delivered++;
+  if (nudge.opened_at || nudge.clicked_at) funnel.opened++;
+  if (nudge.clicked_at) funnel.clicked++;
+
+  const sentAt = new Date(nudge.created_at).getTime();
+  const within = (times) => (times || []).some(time => time >= sentAt && time <= sentAt + windowMs);
+  const kyc = within(conversions?.kyc_completed);
+  const funded = within(conversions?.funded);
+
+  if (kyc) funnel.kycCompleted++;
+  if (funded) funnel.funded++;
+  if (kyc || funded) funnel.converted++;
+};
+
+/**
+ * Attach rates (percent of sent, one decimal) to a funnel
+ */
+const withRates = (funnel) => {
+  const rate = (value) => funnel.sent ? Math.round((value / funnel.sent) * 1000) / 10 : 0;
+  return {
+    ...funnel,
+    rates: {
+      delivered: rate(funnel.delivered),
+      opened: rate(funnel.opened),
+      clicked: rate(funnel.clicked),
+      converted: rate(funnel.converted)
+    }
+  };
+};
 
-app.post('/api/nudges/send', async (req, res) => {
+/**
+ * GET /api/nudges/analytics/:partnerId
+ * Sent -> delivered -> opened -> clicked -> converted funnel for a partner's nudges
+ * Query: groupBy (day|week|month, default day), from, to (ISO dates, default last 30 days),
+ *        nudgeType, tier, conversionDays (default NUDGE_CONVERSION_WINDOW_DAYS or 7)
+ * Returns: { success, partnerId, groupBy, from, to, conversionDays, totals, byTemplate, series }
+ */
+app.get('/api/nudges/analytics/:partnerId', requireAuth, requirePartnerAccess, async (req, res) => {
   try {
-    if (!BREVO_API_KEY) {
+    if (!supabase) {
       return res.status(503).json({ 
-        error: 'Email service not configured',
-        details: 'Check BREVO_API_KEY in .env'
+        error: 'Supabase not configured'
       });
     }
 
-    const { 
-      recipientEmail, 
-      recipientName, 
-      referrerName, 
-      nudgeType, 
-      tier, 
-      partnerId 
-    } = req.body;
+    const { partnerId } = req.params;
+    const { nudgeType, tier } = req.query;
+    const groupBy = req.query.groupBy || 'day';
 
-    // Validate required fields
-    const missing = [];
-    if (!recipientEmail) missing.push('recipientEmail');
-    if (!recipientName) missing.push('recipientName');
-    if (!referrerName) missing.push('referrerName');
-    if (!nudgeType) missing.push('nudgeType');
-    if (!tier) missing.push('tier');
-    if (!partnerId) missing.push('partnerId');
+    if (!ANALYTICS_GROUPINGS.includes(groupBy)) {
+      return res.status(400).json({ 
+        error: `Invalid groupBy. Must be one of: ${ANALYTICS_GROUPINGS.join(', ')}`
+      });
+    }
 
-    if (missing.length > 0) {
+    for (const [name, value] of [['from', req.query.from], ['to', req.query.to]]) {
+      if (value && isNaN(Date.parse(value))) {
+        return res.status(400).json({ 
+          error: `Invalid date for ${name}. Use ISO 8601 format`
+        });
+      }
+    }
+
+    const conversionDays = req.query.conversionDays !== undefined
+      ? parseInt(req.query.conversionDays, 10)
+      : CONVERSION_WINDOW_DAYS;
+    if (!Number.isInteger(conversionDays) || conversionDays < 1 || conversionDays > 90) {
       return res.status(400).json({ 
-        error: `Missing required fields: ${missing.join(', ')}`
+        error: 'Invalid conversionDays. Must be an integer between 1 and 90'
       });
     }
 
-    // Validate nudge type
-    if (!emailTemplates[nudgeType]) {
-      const validTypes = Object.keys(emailTemplates).join(', ');
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - ANALYTICS_DEFAULT_DAYS * DAY_MS);
+
+    if (from > to) {
       return res.status(400).json({ 
-        error: `Invalid nudgeType. Must be one of: ${validTypes}`
+        error: 'from must be before to'
       });
     }
 
-    // Validate email
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(recipientEmail)) {
+    if (to - from > ANALYTICS_MAX_DAYS * DAY_MS) {
       return res.status(400).json({ 
-        error: 'Invalid email address'
+        error: `Date range too large. Maximum is ${ANALYTICS_MAX_DAYS} days`
       });
     }
 
-    // Get template and build email
-    const template = emailTemplates[nudgeType];
-    const emailBody = template.getBody(recipientName, referrerName);
+    let nudges;
+    try {
+      nudges = await fetchAllRows(() => {
+        let query = supabase
+          .from('nudge_history')
+          .select('recipient_email, nudge_type, tier, created_at, delivered_at, opened_at, clicked_at')
+          .eq('partner_id', partnerId)
+          .gte('created_at', from.toISOString())
+          .lte('created_at', to.toISOString())
+          .neq('status', 'failed');
+
+        if (nudgeType) query = query.eq('nudge_type', nudgeType);
+        if (tier) query = query.eq('tier', tier);
+        return query.order('created_at', { ascending: true });
+      });
+    } catch (fetchErr) {
+      console.error('[Nudge Analytics] ❌ Fetch failed:', fetchErr.message);
+      return res.status(400).json({ 
+        error: 'Failed to fetch nudge history',
+        details: fetchErr.message
+      });
+    }
 
-    // console.log(`[Nudge] Sending ${nudgeType} to ${recipientEmail}...`);
+    const emails = [...new Set(nudges.map(nudge => nudge.recipient_email))];
+    const conversions = await fetchConversionEvents(emails, from.toISOString());
+    const windowMs = conversionDays * DAY_MS;
 
-    // Send email via Brevo API with retry logic
-    const info = await sendEmailWithRetry({
-      from: `"${EMAIL_CONFIG.fromName}" <${EMAIL_CONFIG.from}>`,
-      to: recipientEmail,
-      subject: template.subject,
-      html: `<pre style="font-family: Arial, sans-serif; white-space: pre-wrap; line-height: 1.6;">${emailBody}</pre>`,
-      text: emailBody
-    });
+    const totals = emptyFunnel();
+    const byTemplate = new Map();
+    const series = new Map();
+
+    for (const nudge of nudges) {
+      const recipientConversions = conversions.get(nudge.recipient_email);
+      const templateKey = `${nudge.nudge_type}|${nudge.tier}`;
+      const seriesKey = `${getPeriodKey(nudge.created_at, groupBy)}|${templateKey}`;
+
+      if (!byTemplate.has(templateKey)) {
+        byTemplate.set(templateKey, { nudgeType: nudge.nudge_type, tier: nudge.tier, ...emptyFunnel() });
+      }
+      if (!series.has(seriesKey)) {
+        series.set(seriesKey, {
+          period: getPeriodKey(nudge.created_at, groupBy),
+          nudgeType: nudge.nudge_type,
+          tier: nudge.tier,
+          ...emptyFunnel()
+        });
+      }
 
-    // console.log(`[Nudge] ✅ Nudge sent to ${recipientEmail} via Brevo SMTP`);
+      addToFunnel(totals, nudge, recipientConversions, windowMs);
+      addToFunnel(byTemplate.get(templateKey), nudge, recipientConversions, windowMs);
+      addToFunnel(series.get(seriesKey), nudge, recipientConversions, windowMs);
+    }
 
     res.status(200).json({
       success: true,
-      message: `${nudgeType} nudge sent to ${recipientEmail}`,
-      messageId: info.messageId,
-      timestamp: new Date().toISOString(),
-      recipientEmail,
-      nudgeType,
-      tier
+      partnerId,
+      groupBy,
+      from: from.toISOString(),
+      to: to.toISOString(),
+      conversionDays,
+      totals: withRates(totals),
+      byTemplate: [...byTemplate.values()].map(withRates),
+      series: [...series.values()].map(withRates)
     });
-
-  } catch (error) {
-    console.error('[Nudge] ❌ Error:', error.message);
+  } catch (err) {
+    console.error('[Nudge Analytics] ❌ Error:', err.message);
     res.status(500).json({
-      error: 'Failed to send email',
-      details: error.message
+      error: 'Internal server error',
+      details: err.message
     });
   }
 });
 
-/**
- * GET /api/nudges/health
- */
-app.get('/api/nudges/health', (req, res) => {
-  const isHealthy = BREVO_API_KEY !== undefined && BREVO_API_KEY !== '';
-  res.status(isHealthy ? 200 : 503).json({
-    status: isHealthy ? 'healthy' : 'unhealthy',
-    email: isHealthy ? 'configured' : 'not configured',
-    service: 'brevo-rest-api',
-    timestamp: new Date().toISOString()
+// ============= DEV OUTBOX =============
+// Only available with the outbox transport (emails) or stub messaging provider (SMS and WhatsApp) outside production.
+// Captured messages include security codes, so every route requires X-Admin-Key (COMPLIANCE_ADMIN_KEY)
+
+if (emailTransport.name === 'outbox' && !IS_PRODUCTION) {
+  /**
+   * GET /api/dev/outbox
+   * List captured emails, newest first (without bodies)
+   */
+  app.get('/api/dev/outbox', requireComplianceAdmin, async (req, res) => {
+    try {
+      const entries = await emailTransport.list();
+      res.status(200).json({
+        success: true,
+        data: entries.map(({ id, messageId, createdAt, to, subject }) => ({ id, messageId, createdAt, to, subject }))
+      });
+    } catch (err) {
+      console.error('[Outbox] ❌ Error:', err.message);
+      res.status(500).json({ error: 'Failed to read outbox', details: err.message });
+    }
   });
-});
+
+  /**
+   * GET /api/dev/outbox/:id
+   * Full captured email; ?format=html or ?format=text renders that part directly
+   */
+  app.get('/api/dev/outbox/:id', requireComplianceAdmin, async (req, res) => {
+    try {
+      const entry = await emailTransport.get(req.params.id);
+      if (!entry) {
+        return res.status(404).json({ error: 'Message not found in outbox' });
+      }
+
+      if (req.query.format === 'html') return res.type('html').send(entry.html);
+      if (req.query.format === 'text') return res.type('text').send(entry.text);
+
+      res.status(200).json({ success: true, data: entry });
+    } catch (err) {
+      console.error('[Outbox] ❌ Error:', err.message);
+      res.status(500).json({ error: 'Failed to read outbox', details: err.message });
+    }
+  });
+
+  /**
+   * DELETE /api/dev/outbox
+   * Clear all captured emails
+   */
+  app.delete('/api/dev/outbox', requireComplianceAdmin, async (req, res) => {
+    try {
+      await emailTransport.clear();
+      res.status(200).json({ success: true, message: 'Outbox cleared' });
+    } catch (err) {
+      console.error('[Outbox] ❌ Error:', err.message);
+      res.status(500).json({ error: 'Failed to clear outbox', details: err.message });
+    }
+  });
+
+  console.log('[Outbox] ✅ Dev outbox available at /api/dev/outbox');
+}
+
+if (messagingProvider.name === 'stub' && !IS_PRODUCTION) {
+  /**
+   * GET /api/dev/messages
+   * List captured SMS and WhatsApp messages, newest first
+   * Query: channel, to
+   */
+  app.get('/api/dev/messages', requireComplianceAdmin, async (req, res) => {
+    try {
+      const entries = await messagingProvider.list();
+      res.status(200).json({
+        success: true,
+        data: entries.filter(entry => (!req.query.channel || entry.channel === req.query.channel) && (!req.query.to || entry.to === req.query.to))
+      });
+    } catch (err) {
+      console.error('[Messaging] ❌ Error:', err.message);
+      res.status(500).json({ error: 'Failed to read messages', details: err.message });
+    }
+  });
+
+  /**
+   * DELETE /api/dev/messages
+   * Clear all captured messages
+   */
+  app.delete('/api/dev/messages', requireComplianceAdmin, async (req, res) => {
+    try {
+      await messagingProvider.clear();
+      res.status(200).json({ success: true, message: 'Messages cleared' });
+    } catch (err) {
+      console.error('[Messaging] ❌ Error:', err.message);
+      res.status(500).json({ error: 'Failed to clear messages', details: err.message });
+    }
+  });
+
+  console.log('[Messaging] ✅ Dev messages available at /api/dev/messages');
+}
 
 // ============= HEALTH CHECK =============
 
@@ -507,7 +5302,7 @@ app.get('/api/health', (req, res) => {
   });
 });
 
-app.post('/api/payouts/save', async (req, res) => {
+app.post('/api/payouts/save', requireAuth, requirePartnerAccess, requireRecentMfa(), async (req, res) => {
   try {
     if (!supabase) {
       return res.status(503).json({ 
@@ -568,7 +5363,7 @@ app.post('/api/payouts/save', async (req, res) => {
   }
 });
 
-app.get('/api/payouts/:partnerId', async (req, res) => {
+app.get('/api/payouts/:partnerId', requireAuth, requirePartnerAccess, async (req, res) => {
   try {
     if (!supabase) {
       return res.status(503).json({ 
@@ -616,7 +5411,7 @@ app.get('/api/payouts/:partnerId', async (req, res) => {
   }
 });
 
-app.delete('/api/payouts/:partnerId', async (req, res) => {
+app.delete('/api/payouts/:partnerId', requireAuth, requirePartnerAccess, requireRecentMfa(), async (req, res) => {
   try {
     if (!supabase) {
       return res.status(503).json({ 
@@ -663,7 +5458,7 @@ app.delete('/api/payouts/:partnerId', async (req, res) => {
 
 // ============= ALIAS ENDPOINTS FOR PAYOUT (without 's') =============
 // These endpoints allow API calls to /api/payout/* (used by frontend api_integration_v2.js)
-app.post('/api/payout/save', async (req, res) => {
+app.post('/api/payout/save', requireAuth, requirePartnerAccess, requireRecentMfa(), async (req, res) => {
   try {
     if (!supabase) {
       return res.status(503).json({ 
@@ -723,7 +5518,7 @@ app.post('/api/payout/save', async (req, res) => {
   }
 });
 
-app.get('/api/payout/:partnerId', async (req, res) => {
+app.get('/api/payout/:partnerId', requireAuth, requirePartnerAccess, async (req, res) => {
   try {
     if (!supabase) {
       return res.status(503).json({ 
@@ -771,7 +5566,7 @@ app.get('/api/payout/:partnerId', async (req, res) => {
   }
 });
 
-app.delete('/api/payout/:partnerId', async (req, res) => {
+app.delete('/api/payout/:partnerId', requireAuth, requirePartnerAccess, requireRecentMfa(), async (req, res) => {
   try {
     if (!supabase) {
       return res.status(503).json({ 
@@ -816,7 +5611,13 @@ app.delete('/api/payout/:partnerId', async (req, res) => {
   }
 });
 
-app.post('/api/2fa/setup', async (req, res) => {
+/**
+ * POST /api/2fa/setup
+ * Generate a new authenticator secret (not enabled until /api/2fa/verify) - needs a session with a
+ * recent second factor, from the authenticator if 2FA is already on, so a login token alone cannot swap it
+ * Returns: { success, secret, qrCodeUrl, message }
+ */
+app.post('/api/2fa/setup', requireAuth, requireUserAccess, requireRecentMfa(), async (req, res) => {
   try {
     const { username } = req.body;
     if (!username) {
@@ -825,14 +5626,14 @@ app.post('/api/2fa/setup', async (req, res) => {
     
     // Generate a real TOTP secret using speakeasy
     const secret = speakeasy.generateSecret({
-      name: `Nommia (${username})`,
+      name: `Nommia (${req.auth.username})`,
       issuer: 'Nommia',
       length: 32
     });
     
     // Generate QR code URL - encode the secret properly
     const qrCodeUrl = `https://api.qrserver.com/v1/create-qr-code/?size=300x300&data=${encodeURIComponent(
-      `otpauth://totp/Nommia:${username}?secret=${secret.base32}&issuer=Nommia`
+      `otpauth://totp/Nommia:${req.auth.username}?secret=${secret.base32}&issuer=Nommia`
     )}`;
     
     // console.log(`[2FA] Setup initiated for user: ${username}`);
@@ -840,12 +5641,13 @@ app.post('/api/2fa/setup', async (req, res) => {
     // console.log(`[2FA] QR URL generated: ${qrCodeUrl.substring(0, 80)}...`);
     
     // Save to database (not enabled yet - will be enabled after verification)
+    // Rows are keyed by the login's username, as requireUserAccess matches the body's in any case
     if (supabase) {
       try {
         const { error } = await supabase
           .from('user_2fa')
           .upsert({
-            username: username,
+            username: req.auth.username,
             secret: secret.base32,
             enabled: false,  // Not enabled until verified
             updated_at: new Date().toISOString()
@@ -880,10 +5682,10 @@ app.post('/api/2fa/setup', async (req, res) => {
 
 /**
  * POST /api/2fa/verify
- * Verify 6-digit TOTP code and enable 2FA
+ * Verify 6-digit TOTP code and enable 2FA - needs a session with a recent second factor, like setup
  * Returns: { success, message }
  */
-app.post('/api/2fa/verify', async (req, res) => {
+app.post('/api/2fa/verify', requireAuth, requireUserAccess, requireRecentMfa(), async (req, res) => {
   try {
     const { username, secret, token } = req.body;
     
@@ -919,7 +5721,7 @@ app.post('/api/2fa/verify', async (req, res) => {
             enabled: true,  // Enable 2FA now that code is verified
             updated_at: new Date().toISOString()
           })
-          .eq('username', username);
+          .eq('username', req.auth.username);
         
         if (error) {
           console.warn(`[2FA] Warning enabling in DB: ${error.message}`);
@@ -947,7 +5749,14 @@ app.post('/api/2fa/verify', async (req, res) => {
   }
 });
 
-app.post('/api/2fa/verify-login', async (req, res) => {
+/**
+ * POST /api/2fa/verify-login
+ * Verify the authenticator code at sign-in and start an MFA session
+ * Body: { username, token }
+ * Returns: { success, message, session } - session.accessToken is the bearer token for later requests
+ * Rate limited per IP and account; repeated wrong codes lock the account (429, see RATE LIMITING)
+ */
+app.post('/api/2fa/verify-login', requireAuth, requireUserAccess, rateLimit('2fa-login', req => req.auth.username.toLowerCase()), async (req, res) => {
   try {
     const { username, token } = req.body;
     
@@ -967,7 +5776,7 @@ app.post('/api/2fa/verify-login', async (req, res) => {
     const { data, error } = await supabase
       .from('user_2fa')
       .select('secret, enabled')
-      .eq('username', username)
+      .eq('username', req.auth.username)
       .single();
     
     if (error || !data) {
@@ -996,6 +5805,7 @@ app.post('/api/2fa/verify-login', async (req, res) => {
     
     if (!verified) {
       // console.log(`[2FA Login] Invalid code for user: ${username}`);
+      recordFailedAttempt(req);
       return res.status(401).json({ 
         success: false, 
         message: 'Invalid authenticator code.' 
@@ -1003,10 +5813,12 @@ app.post('/api/2fa/verify-login', async (req, res) => {
     }
     
     // console.log(`[2FA Login] Verified successfully for user: ${username}`);
+    clearFailedAttempts(req);
     
     res.status(200).json({
       success: true,
-      message: 'Login verified with 2FA'
+      message: 'Login verified with 2FA',
+      session: startMfaSession(req.auth, 'totp')
     });
   } catch (err) {
     console.error('[2FA Login Verify] Error:', err.message);
@@ -1019,10 +5831,10 @@ app.post('/api/2fa/verify-login', async (req, res) => {
 
 /**
  * POST /api/2fa/disable
- * Disable 2FA for user
+ * Disable 2FA for user - needs a session with a recent second factor
  * Returns: { success, message }
  */
-app.post('/api/2fa/disable', async (req, res) => {
+app.post('/api/2fa/disable', requireAuth, requireUserAccess, requireRecentMfa(), async (req, res) => {
   try {
     const { username } = req.body;
     
@@ -1036,7 +5848,7 @@ app.post('/api/2fa/disable', async (req, res) => {
         const { error } = await supabase
           .from('user_2fa')
           .delete()
-          .eq('username', username);
+          .eq('username', req.auth.username);
         
         if (error) {
           console.warn(`[2FA] Warning disabling: ${error.message}`);
@@ -1067,7 +5879,7 @@ app.post('/api/2fa/disable', async (req, res) => {
  * Check if 2FA is enabled for a user
  * Returns: { success, enabled }
  */
-app.post('/api/2fa/check', async (req, res) => {
+app.post('/api/2fa/check', requireAuth, requireUserAccess, async (req, res) => {
   try {
     const { username } = req.body;
     
@@ -1082,7 +5894,7 @@ app.post('/api/2fa/check', async (req, res) => {
     const { data, error } = await supabase
       .from('user_2fa')
       .select('enabled')
-      .eq('username', username)
+      .eq('username', req.auth.username)
       .single();
     
     const is2FAEnabled = data && data.enabled === true;
@@ -1103,14 +5915,66 @@ app.post('/api/2fa/check', async (req, res) => {
 
 // ============= OTP VERIFICATION SYSTEM =============
 
-// In-memory OTP store (email -> { code, timestamp })
+// In-memory OTP store (destination -> { code, timestamp, expiry, type, channel, attempts })
+// A code is bound to where it was sent: the lowercased email, or the E.164 phone number for SMS and WhatsApp,
+// so verifying it proves control of that address or number and nothing else
 const otpStore = new Map();
 
+// Codes are valid for 10 minutes
+const OTP_EXPIRY_MS = 10 * 60 * 1000;
+
+// Wrong guesses allowed against one code before it is thrown away
+const OTP_MAX_ATTEMPTS = parseInt(process.env.OTP_MAX_ATTEMPTS, 10) || 5;
+
+/**
+ * Where a request's code goes or was sent: the phone number for SMS/WhatsApp sends (or a verify by
+ * phoneNumber), otherwise the email. OTP rate limits and lockouts are per destination too
+ */
+const otpDestination = (req) => {
+  const { email, phoneNumber, channel } = req.body;
+  const byPhone = channel
+    ? TEXT_CHANNELS.includes(String(channel).toLowerCase())
+    : Boolean(phoneNumber) && !email;
+  if (byPhone) return normalizePhoneNumber(phoneNumber);
+  return (typeof email === 'string' && email.trim().toLowerCase()) || null;
+};
+
+/**
+ * Count a wrong guess against a stored OTP, invalidating the code once OTP_MAX_ATTEMPTS is reached
+ * Returns: the 400 body to send back
+ */
+const rejectWrongOtp = (destination, storedOtp) => {
+  storedOtp.attempts = (storedOtp.attempts || 0) + 1;
+  const attemptsRemaining = OTP_MAX_ATTEMPTS - storedOtp.attempts;
+
+  if (attemptsRemaining <= 0) {
+    otpStore.delete(destination);
+    console.warn(`[OTP] ⚠️ Code for ${destination} invalidated after ${OTP_MAX_ATTEMPTS} wrong attempts`);
+    return {
+      success: false,
+      code: 'OTP_ATTEMPTS_EXCEEDED',
+      message: 'Too many incorrect attempts. Request a new one.'
+    };
+  }
+
+  return {
+    success: false,
+    message: 'Invalid OTP. Please try again.',
+    attemptsRemaining
+  };
+};
+
 /**
  * POST /api/otp/send
- * Generate and send OTP code to email
+ * Generate and send OTP code to email, or by SMS or WhatsApp
+ * Body: { email, type?, locale? } or { channel: 'sms' | 'whatsapp', phoneNumber, type?, locale? }
+ * The code is verified against where it was sent (see /api/otp/verify)
+ * Supports Idempotency-Key - a repeat returns the original response and keeps the code already sent,
+ * until that code expires, is used or is invalidated by wrong guesses (after which a repeat sends a new one);
+ * a send that failed is never replayed
+ * Rate limited per IP and per email (429, see RATE LIMITING)
  */
-app.post('/api/otp/send', async (req, res) => {
+app.post('/api/otp/send', rateLimit('otp-send', otpDestination), idempotentFor(Math.min(IDEMPOTENCY_TTL_MS, OTP_EXPIRY_MS)), async (req, res) => {
   try {
     // console.log('[OTP Send] Request received. Body:', JSON.stringify(req.body));
     
@@ -1121,50 +5985,101 @@ app.post('/api/otp/send', async (req, res) => {
 
     // console.log(`[OTP Send] Extracted email: "${email}", type: "${type}"`);
 
-    // Validate email
-    if (!email || email === '') {
-      console.warn('[OTP Send] ❌ Email is missing or empty');
+    const { error: channelError, details: channelDetails, channel, phoneNumber } = readChannelOptions(req.body);
+    if (channelError) {
       return res.status(400).json({ 
-        error: 'Missing required field: email',
-        received: { email: email || 'undefined', type }
+        error: channelError,
+        details: channelDetails
       });
     }
-
-    // Validate email format - use standard email validation
-    // More permissive regex that handles most valid email addresses
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(email.toLowerCase())) {
-      console.warn(`[OTP Send] ❌ Invalid email format: "${email}"`);
-      // console.log(`[OTP Send] Debug - email length: ${email.length}, chars: ${email.split('').map(c => `${c}(${c.charCodeAt(0)})`).join(', ')}`) ;
+    if (channel !== 'email' && !textTemplates[channel].otp) {
       return res.status(400).json({ 
-        error: 'Invalid email format',
-        received: email,
-        debug: `Length: ${email.length}`
+        error: `Security codes cannot be sent by ${channel}`
+      });
+    }
+
+    if (channel === 'email') {
+      // Validate email
+      if (!email || email === '') {
+        console.warn('[OTP Send] ❌ Email is missing or empty');
+        return res.status(400).json({ 
+          error: 'Missing required field: email',
+          received: { email: email || 'undefined', type }
+        });
+      }
+
+      // Validate email format - use standard email validation
+      // More permissive regex that handles most valid email addresses
+      const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+      if (!emailRegex.test(email.toLowerCase())) {
+        console.warn(`[OTP Send] ❌ Invalid email format: "${email}"`);
+        // console.log(`[OTP Send] Debug - email length: ${email.length}, chars: ${email.split('').map(c => `${c}(${c.charCodeAt(0)})`).join(', ')}`) ;
+        return res.status(400).json({ 
+          error: 'Invalid email format',
+          received: email,
+          debug: `Length: ${email.length}`
+        });
+      }
+    }
+
+    // No way to deliver the code - refuse rather than issue one nobody can receive
+    if (channel === 'email' && !emailTransport.isConfigured()) {
+      console.error(`[OTP] ❌ ${emailTransport.name} transport not configured - cannot send security codes`);
+      return res.status(503).json({ 
+        error: 'Email delivery is not configured',
+        details: emailTransport.configHint
       });
     }
 
+    // Provider is down - let the client retry instead of issuing a code that never arrives
+    if (channel === 'email' && isEmailCircuitOpen()) {
+      return sendCircuitOpen(res);
+    }
+
     // Generate 6-digit OTP
     const otp = Math.floor(100000 + Math.random() * 900000).toString();
     const timestamp = Date.now();
-    const expiryTime = 10 * 60 * 1000; // 10 minutes
 
-    // Store OTP in memory (use lowercase email as key for consistency)
-    otpStore.set(email.toLowerCase(), {
+    // Store OTP in memory against its destination (lowercase email, or the phone number it was texted to)
+    const destination = channel === 'email' ? email.toLowerCase() : phoneNumber;
+    const issued = {
       code: otp,
       timestamp: timestamp,
-      expiry: timestamp + expiryTime,
-      type: type || 'verification'
-    });
+      expiry: timestamp + OTP_EXPIRY_MS,
+      type: type || 'verification',
+      channel,
+      attempts: 0
+    };
+    otpStore.set(destination, issued);
+
+    // A repeat with the same Idempotency-Key gets this response only while this code can still be used
+    res.locals.idempotencyValidWhile = () => otpStore.get(destination) === issued && issued.expiry > Date.now();
+
+    // SMS and WhatsApp codes go through the messaging provider instead of email
+    if (channel !== 'email') {
+      try {
+        const message = renderTextTemplate(channel, 'otp', { code: otp, expiryMinutes: OTP_EXPIRY_MS / 60000 }, req.body.locale);
+        await sendTextMessage({ channel, to: phoneNumber, body: message.body });
+      } catch (sendErr) {
+        console.warn(`[OTP] ⚠️ Failed to send OTP by ${channel}: ${sendErr.message}`);
+        // Same as email - the code is stored and the request still succeeds, but a repeat sends again
+        res.locals.idempotencyReplayable = false;
+      }
 
-    // console.log(`[OTP] ✅ Generated OTP for ${email}: ${otp} (expires in 10 min)`);
+      return res.status(200).json({
+        success: true,
+        message: `Security code sent to ${phoneNumber}`,
+        channel
+      });
+    }
 
-    // Send OTP via email using Brevo API
+    // Send OTP via email through the configured transport
     try {
       const mailOptions = {
         from: `"${EMAIL_CONFIG.fromName}" <${EMAIL_CONFIG.from}>`,
         to: email,
         subject: 'Your Nommia Security Code',
-        html: `
+        ...prepareEmailContent(`
           <!DOCTYPE html>
           <html>
           <head>
@@ -1185,7 +6100,7 @@ app.post('/api/otp/send', async (req, res) => {
               <p>You requested a security code to verify your identity. Please use this code to proceed:</p>
               <div class="code-box">
                 <div class="code">${otp}</div>
-                <div class="expiry">This code expires in 10 minutes</div>
+                <div class="expiry">This code expires in ${OTP_EXPIRY_MS / 60000} minutes</div>
               </div>
               <p>If you did not request this code, please ignore this email.</p>
               <div class="footer">
@@ -1194,29 +6109,28 @@ app.post('/api/otp/send', async (req, res) => {
             </div>
           </body>
           </html>
-        `
+        `)
       };
 
-      // Send email via Brevo API with retry logic
-      if (BREVO_API_KEY) {
-        try {
-          await sendEmailWithRetry(mailOptions);
-          // console.log(`[OTP] ✅ OTP sent successfully to ${email} via Brevo API`);
-        } catch (sendErr) {
-          console.warn(`[OTP] ⚠️ Failed to send OTP email after 3 retries: ${sendErr.message}`);
-          // Don't fail the request if email fails - OTP was generated and stored
-        }
-      } else {
-        console.warn(`[OTP] ⚠️ Brevo API key not configured. OTP for ${email}: ${otp} (would be sent via Brevo)`);
+      // Send email through the configured transport with retry logic
+      try {
+        await sendEmailWithRetry(mailOptions);
+        // console.log(`[OTP] ✅ OTP sent successfully to ${email} via ${emailTransport.name}`);
+      } catch (sendErr) {
+        console.warn(`[OTP] ⚠️ Failed to send OTP email: ${sendErr.message}`);
+        // Don't fail the request if email fails - OTP was generated and stored - but let a repeat send again
+        res.locals.idempotencyReplayable = false;
       }
     } catch (emailErr) {
       console.error('[OTP] ⚠️ Error preparing email:', emailErr.message);
       // Don't fail the request if email preparation fails
+      res.locals.idempotencyReplayable = false;
     }
 
     res.status(200).json({
       success: true,
-      message: `Security code sent to ${email}`
+      message: `Security code sent to ${email}`,
+      channel
     });
   } catch (err) {
     console.error('[OTP Send] Error:', err.message);
@@ -1230,32 +6144,36 @@ app.post('/api/otp/send', async (req, res) => {
 /**
  * POST /api/otp/verify
  * Verify OTP code and confirm action
+ * Body: { email, code } or { phoneNumber, code } for a code sent by SMS or WhatsApp
+ * With a bearer token whose email matches, the response also carries an MFA session (see AUTHENTICATION)
+ * A code is invalidated after OTP_MAX_ATTEMPTS wrong guesses; repeated failures lock out the caller (429)
  */
-app.post('/api/otp/verify', async (req, res) => {
+app.post('/api/otp/verify', optionalAuth, rateLimit('otp-verify', otpDestination), async (req, res) => {
   try {
-    let { email, code } = req.body;
+    const { code } = req.body;
 
-    // Normalize email for consistency
-    email = email ? email.trim().toLowerCase() : '';
+    // Normalized email, or the phone number an SMS/WhatsApp code was sent to
+    const destination = otpDestination(req);
+    const byPhone = Boolean(destination) && destination.startsWith('+');
 
-    if (!email || !code) {
+    if (!destination || !code) {
       return res.status(400).json({ 
-        error: 'Missing required fields: email, code'
+        error: 'Missing required fields: email (or phoneNumber), code'
       });
     }
 
-    const storedOtp = otpStore.get(email);
+    const storedOtp = otpStore.get(destination);
 
     if (!storedOtp) {
       return res.status(400).json({ 
         success: false,
-        message: 'No OTP found for this email. Request a new one.'
+        message: `No OTP found for this ${byPhone ? 'phone number' : 'email'}. Request a new one.`
       });
     }
 
     // Check if OTP has expired
     if (Date.now() > storedOtp.expiry) {
-      otpStore.delete(email);
+      otpStore.delete(destination);
       return res.status(400).json({ 
         success: false,
         message: 'OTP has expired. Request a new one.'
@@ -1264,21 +6182,24 @@ app.post('/api/otp/verify', async (req, res) => {
 
     // Verify OTP code
     if (code.toString() !== storedOtp.code) {
-      return res.status(400).json({ 
-        success: false,
-        message: 'Invalid OTP. Please try again.'
-      });
+      recordFailedAttempt(req);
+      return res.status(400).json(rejectWrongOtp(destination, storedOtp));
     }
 
     // OTP verified - clean up
-    otpStore.delete(email);
+    otpStore.delete(destination);
+    clearFailedAttempts(req);
+
+    // console.log(`[OTP] Successfully verified OTP for ${destination}`);
 
-    // console.log(`[OTP] Successfully verified OTP for ${email}`);
+    // A signed-in caller proving their own email gets an MFA session (a phone number is not tied to the account)
+    const ownsEmail = !byPhone && req.auth && req.auth.email && req.auth.email.toLowerCase() === destination;
 
     res.status(200).json({
       success: true,
       message: 'OTP verified successfully',
-      verified: true
+      verified: true,
+      ...(ownsEmail ? { session: startMfaSession(req.auth, 'otp') } : {})
     });
   } catch (err) {
     console.error('[OTP Verify] Error:', err.message);
@@ -1293,8 +6214,9 @@ app.post('/api/otp/verify', async (req, res) => {
  * POST /api/password/reset
  * Reset user password (verify OTP first, then call XValley API)
  * Frontend calls this endpoint to verify OTP, then calls XValley /profile/reset/ directly with Bearer token
+ * Shares the OTP attempt limit and lockout with /api/otp/verify
  */
-app.post('/api/password/reset', async (req, res) => {
+app.post('/api/password/reset', rateLimit('password-reset', otpDestination), async (req, res) => {
   try {
     let { email, oldPassword, newPassword, code } = req.body;
 
@@ -1329,14 +6251,13 @@ app.post('/api/password/reset', async (req, res) => {
 
     // Verify code
     if (code.toString() !== storedOtp.code) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid OTP. Please try again.'
-      });
+      recordFailedAttempt(req);
+      return res.status(400).json(rejectWrongOtp(email, storedOtp));
     }
 
     // OTP valid - clean up
     otpStore.delete(email);
+    clearFailedAttempts(req);
 
     // Step 2: Validate password strength
     if (newPassword.length < 8) {
@@ -1380,35 +6301,44 @@ app.use((req, res) => {
   });
 });
 
-const port = process.env.PORT || 5000;
-const host = '0.0.0.0';
+// Started directly (npm start); tests require the module and listen on their own port
+if (require.main === module) {
+  const port = process.env.PORT || 5000;
+  const host = '0.0.0.0';
+
+  // Start server with detailed logging
+  const server = app.listen(port, host, () => {
+    console.log('\n========================================');
+    console.log(`[Server] ✅ RUNNING on http://${host}:${port}`);
+   // console.log(`[Server] Environment: ${process.env.NODE_ENV || 'development'}`);
+    //console.log('[Server] Ready to accept requests');
+    console.log('========================================\n');
+
+    startNudgeScheduler().catch(err => {
+      console.error('[Scheduler] ❌ Failed to start:', err.message);
+    });
+  });
 
-// Start server with detailed logging
-const server = app.listen(port, host, () => {
-  console.log('\n========================================');
-  console.log(`[Server] ✅ RUNNING on http://${host}:${port}`);
- // console.log(`[Server] Environment: ${process.env.NODE_ENV || 'development'}`);
-  //console.log('[Server] Ready to accept requests');
-  console.log('========================================\n');
-});
+  // Handle server errors
+  server.on('error', (err) => {
+    console.error('[Server] ❌ Error:', err.message);
+    if (err.code === 'EADDRINUSE') {
+      console.error(`[Server] Port ${port} already in use`);
+    }
+    process.exit(1);
+  });
 
-// Handle server errors
-server.on('error', (err) => {
-  console.error('[Server] ❌ Error:', err.message);
-  if (err.code === 'EADDRINUSE') {
-    console.error(`[Server] Port ${port} already in use`);
-  }
-  process.exit(1);
-});
+  // Handle uncaught exceptions
+  process.on('uncaughtException', (err) => {
+    console.error('[Process] ❌ Uncaught exception:', err);
+    process.exit(1);
+  });
 
-// Handle uncaught exceptions
-process.on('uncaughtException', (err) => {
-  console.error('[Process] ❌ Uncaught exception:', err);
-  process.exit(1);
-});
+  // Handle unhandled promise rejections
+  process.on('unhandledRejection', (reason, promise) => {
+    console.error('[Process] ❌ Unhandled rejection at:', promise, 'reason:', reason);
+    process.exit(1);
+  });
+}
 
-// Handle unhandled promise rejections
-process.on('unhandledRejection', (reason, promise) => {
-  console.error('[Process] ❌ Unhandled rejection at:', promise, 'reason:', reason);
-  process.exit(1);
-});
\ No newline at end of file
+module.exports = app;
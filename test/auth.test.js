@@ -0,0 +1,113 @@
+// Bearer authentication and ownership checks on dashboard routes
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ADMIN_KEY, startFakeXValley, startFakeSupabase, startServer } = require('./helpers');
+
+let xvalley;
+let supabase;
+let server;
+
+before(async () => {
+  xvalley = await startFakeXValley({
+    'alice-token': { username: 'alice', id: 'u-1', partnerId: 'p1', email: 'alice@example.com' },
+    // A user whose XValley id happens to equal a partner id, but who has no partner account
+    'bob-token': { username: 'bob', id: 'p1', email: 'bob@example.com' }
+  });
+  supabase = await startFakeSupabase({
+    user_2fa: [{ username: 'alice', secret: 'JBSWY3DPEHPK3PXP', enabled: true }]
+  });
+  server = await startServer({
+    XVALLEY_PROFILE_URL: `${xvalley.url}/profile/`,
+    SUPABASE_URL: supabase.url,
+    SUPABASE_KEY: 'test-key'
+  });
+});
+
+after(async () => {
+  await server.close();
+  await supabase.close();
+  await xvalley.close();
+});
+
+test('rejects requests without a bearer token', async () => {
+  const res = await server.request('/api/nudges/templates');
+  assert.equal(res.status, 401);
+  assert.match(res.headers.get('www-authenticate'), /^Bearer/);
+});
+
+test('rejects tokens XValley does not recognise', async () => {
+  const res = await server.request('/api/nudges/templates', { token: 'not-a-token' });
+  assert.equal(res.status, 401);
+});
+
+test('rejects session tokens with a bad signature', async () => {
+  const forged = `${Buffer.from(JSON.stringify({ typ: 'session', sub: 'alice', exp: 9999999999 })).toString('base64url')}.c2lnbmF0dXJl`;
+  const res = await server.request('/api/nudges/templates', { token: forged });
+  assert.equal(res.status, 401);
+});
+
+test('accepts a valid XValley token', async () => {
+  const res = await server.request('/api/nudges/templates', { token: 'alice-token' });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.success, true);
+});
+
+test('lets a partner read their own data', async () => {
+  const res = await server.request('/api/nudges/history/p1', { token: 'alice-token' });
+  assert.equal(res.status, 200);
+});
+
+test('refuses another partner\'s data in the path', async () => {
+  const res = await server.request('/api/nudges/history/p2', { token: 'alice-token' });
+  assert.equal(res.status, 403);
+});
+
+test('refuses another partner\'s id in the body', async () => {
+  const res = await server.request('/api/payouts/save', {
+    method: 'POST',
+    token: 'alice-token',
+    body: { partnerId: 'p2', iban: 'DE00' }
+  });
+  assert.equal(res.status, 403);
+});
+
+test('does not treat the XValley user id as a partner id', async () => {
+  const res = await server.request('/api/payouts/p1', { token: 'bob-token' });
+  assert.equal(res.status, 403);
+  assert.equal(res.body.details, 'No partner account is linked to this login');
+});
+
+test('refuses 2FA actions for another username', async () => {
+  const res = await server.request('/api/2fa/check', {
+    method: 'POST',
+    token: 'alice-token',
+    body: { username: 'mallory' }
+  });
+  assert.equal(res.status, 403);
+});
+
+test('allows 2FA actions for the caller\'s own username in any case', async () => {
+  const res = await server.request('/api/2fa/check', {
+    method: 'POST',
+    token: 'alice-token',
+    body: { username: 'Alice' }
+  });
+  assert.equal(res.status, 200);
+});
+
+test('2FA actions use the login\'s username, whatever case the body uses', async () => {
+  const res = await server.request('/api/2fa/check', {
+    method: 'POST',
+    token: 'alice-token',
+    body: { username: 'ALICE' }
+  });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.enabled, true);
+});
+
+test('keeps the dev outbox behind the admin key', async () => {
+  assert.equal((await server.request('/api/dev/outbox')).status, 401);
+  assert.equal((await server.request('/api/dev/outbox', { token: 'alice-token' })).status, 401);
+  assert.equal((await server.request('/api/dev/outbox', { headers: { 'x-admin-key': ADMIN_KEY } })).status, 200);
+});
@@ -0,0 +1,62 @@
+// Text-message nudges on a deployment with no email transport
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startFakeXValley, startServer } = require('./helpers');
+
+let xvalley;
+let server;
+
+before(async () => {
+  xvalley = await startFakeXValley({
+    'alice-token': { username: 'alice', partnerId: 'p1', email: 'alice@example.com' }
+  });
+  delete process.env.BREVO_API_KEY;
+  server = await startServer({
+    XVALLEY_PROFILE_URL: `${xvalley.url}/profile/`,
+    EMAIL_TRANSPORT: 'brevo',
+    MESSAGING_PROVIDER: 'stub'
+  });
+});
+
+after(async () => {
+  await server.close();
+  await xvalley.close();
+});
+
+const nudge = { partnerId: 'p1', nudgeType: 'Complete KYC', referrerName: 'Alice', tier: 'standard' };
+
+test('a text-only batch is sent without an email transport', async () => {
+  const res = await server.request('/api/nudges/bulk', {
+    method: 'POST',
+    token: 'alice-token',
+    body: {
+      ...nudge,
+      channel: 'sms',
+      recipients: [
+        { email: 'sms-one@example.com', name: 'One', phoneNumber: '+447700900001' },
+        { email: 'sms-two@example.com', name: 'Two', phoneNumber: '+447700900002', channel: 'whatsapp' },
+        { email: 'mail@example.com', name: 'Mail', channel: 'email' }
+      ]
+    }
+  });
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.results.map(result => result.status), ['sent', 'sent', 'invalid']);
+  assert.equal(res.body.results[2].error, 'email is not available');
+});
+
+test('a single text nudge is sent without an email transport, and an email one is refused', async () => {
+  const sms = await server.request('/api/nudges/send', {
+    method: 'POST',
+    token: 'alice-token',
+    body: { ...nudge, recipientEmail: 'single@example.com', recipientName: 'Single', channel: 'sms', phoneNumber: '+447700900003' }
+  });
+  assert.equal(sms.status, 200);
+
+  const email = await server.request('/api/nudges/send', {
+    method: 'POST',
+    token: 'alice-token',
+    body: { ...nudge, recipientEmail: 'single@example.com', recipientName: 'Single' }
+  });
+  assert.equal(email.status, 503);
+});
@@ -0,0 +1,70 @@
+// Partner custom templates: previews, locales and ownership
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startFakeXValley, startFakeSupabase, startServer } = require('./helpers');
+
+let xvalley;
+let supabase;
+let server;
+
+const templateRow = (fields) => ({
+  partner_id: 'p1',
+  name: 'Welcome',
+  nudge_type: 'complete-kyc',
+  locale: 'en',
+  subject: 'Hola {{recipientName}}',
+  body: 'Termina tu verificación para empezar a operar.',
+  cta_label: 'Verificar',
+  version: 1,
+  status: 'pending',
+  ...fields
+});
+
+before(async () => {
+  xvalley = await startFakeXValley({
+    'alice-token': { username: 'alice', partnerId: 'p1', email: 'alice@example.com' },
+    'dave-token': { username: 'dave', partnerId: 42, email: 'dave@example.com' }
+  });
+  supabase = await startFakeSupabase({
+    partner_templates: [
+      templateRow({ id: 1, locale: 'es-mx' }),
+      // partner_id as a number, as an integer column comes back
+      templateRow({ id: 2, partner_id: 42 })
+    ]
+  });
+  server = await startServer({
+    XVALLEY_PROFILE_URL: `${xvalley.url}/profile/`,
+    SUPABASE_URL: supabase.url,
+    SUPABASE_KEY: 'test-key'
+  });
+});
+
+after(async () => {
+  await server.close();
+  await supabase.close();
+  await xvalley.close();
+});
+
+const preview = (id, token = 'alice-token', partnerId = 'p1') =>
+  server.request(`/api/nudges/custom-templates/${partnerId}/${id}/preview`, { token });
+
+test('a regional locale uses its base language\'s layout blocks', async () => {
+  const res = await preview(1);
+  assert.equal(res.status, 200);
+  assert.equal(res.body.locale, 'es-mx');
+  assert.match(res.body.html, /Socio Independiente Autorizado de Nommia/);
+  assert.match(res.body.html, /Darse de baja/);
+  assert.doesNotMatch(res.body.html, /Nommia Authorized Independent Partner/);
+});
+
+test('a partner can preview their own template whatever type its partner_id has', async () => {
+  const res = await preview(2, 'dave-token', '42');
+  assert.equal(res.status, 200);
+  assert.equal(res.body.locale, 'en');
+});
+
+test('a partner cannot preview another partner\'s template', async () => {
+  assert.equal((await preview(2)).status, 404);
+  assert.equal((await preview(1, 'dave-token', '42')).status, 404);
+});
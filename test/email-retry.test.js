@@ -0,0 +1,86 @@
+// Email delivery failures: permanent vs retryable SMTP replies and the circuit breaker
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startFakeXValley, startFakeSmtp, startServer, sleep } = require('./helpers');
+
+// Longer than the retry delays (up to 1s, then 2s), so the breaker cannot go half-open mid-send
+const CIRCUIT_COOLDOWN_MS = 4000;
+
+let xvalley;
+let smtp;
+let server;
+
+before(async () => {
+  xvalley = await startFakeXValley({
+    'alice-token': { username: 'alice', partnerId: 'p1', email: 'alice@example.com' }
+  });
+  smtp = await startFakeSmtp();
+  server = await startServer({
+    XVALLEY_PROFILE_URL: `${xvalley.url}/profile/`,
+    EMAIL_TRANSPORT: 'smtp',
+    SMTP_HOST: '127.0.0.1',
+    SMTP_PORT: String(smtp.port),
+    EMAIL_CIRCUIT_THRESHOLD: '2',
+    EMAIL_CIRCUIT_COOLDOWN_MS: String(CIRCUIT_COOLDOWN_MS)
+  });
+});
+
+after(async () => {
+  await server.close();
+  await smtp.close();
+  await xvalley.close();
+});
+
+const send = (recipientEmail) => server.request('/api/nudges/send', {
+  method: 'POST',
+  token: 'alice-token',
+  body: { partnerId: 'p1', nudgeType: 'Complete KYC', recipientEmail, recipientName: 'Ana', referrerName: 'Alice', tier: 'standard' }
+});
+
+const circuit = async () => (await server.request('/api/nudges/health')).body.circuitBreaker;
+
+// The tests run in order: each one leaves the breaker in the state the next one starts from
+test('a permanent SMTP rejection is not retried and does not count towards the breaker', async () => {
+  smtp.mailReply = '550 5.1.1 Mailbox unavailable';
+  const before = smtp.attempts;
+
+  const res = await send('rejected@example.com');
+  assert.equal(res.status, 500);
+  assert.match(res.body.details, /Mailbox unavailable/);
+  assert.equal(smtp.attempts - before, 1);
+
+  const breaker = await circuit();
+  assert.equal(breaker.state, 'closed');
+  assert.equal(breaker.consecutiveFailures, 0);
+});
+
+test('retryable SMTP failures are retried and open the breaker, which then fails fast', async () => {
+  smtp.mailReply = '451 4.3.0 Try again later';
+  const before = smtp.attempts;
+
+  // The second attempt trips the breaker, so the third never reaches the provider
+  const res = await send('deferred@example.com');
+  assert.equal(res.status, 503);
+  assert.equal(smtp.attempts - before, 2);
+
+  const blocked = await send('another@example.com');
+  assert.equal(blocked.status, 503);
+  assert.equal(blocked.body.circuitBreaker.state, 'open');
+  assert.ok(Number(blocked.headers.get('retry-after')) >= 1);
+  assert.equal(smtp.attempts - before, 2);
+
+  const health = await server.request('/api/nudges/health');
+  assert.equal(health.status, 503);
+  assert.equal(health.body.status, 'degraded');
+});
+
+test('after the cooldown one successful trial send closes the breaker', async () => {
+  smtp.mailReply = '250 OK';
+  await sleep(CIRCUIT_COOLDOWN_MS + 100);
+  assert.equal((await circuit()).state, 'half-open');
+
+  const res = await send('recovered@example.com');
+  assert.equal(res.status, 200);
+  assert.equal((await circuit()).state, 'closed');
+});
@@ -0,0 +1,232 @@
+// Shared setup for the HTTP tests: stand-ins for XValley, Supabase and an SMTP provider, and a server started from server.js.
+// Every test file runs in its own process (node --test), so each one configures the environment it needs
+// and then loads the app once.
+
+const http = require('http');
+const net = require('net');
+
+const ADMIN_KEY = 'test-admin-key';
+
+/**
+ * Listen on a free local port
+ * Returns: { url, close }
+ */
+const listen = (handler) => new Promise((resolve) => {
+  const server = http.createServer(handler);
+  server.listen(0, '127.0.0.1', () => {
+    resolve({
+      url: `http://127.0.0.1:${server.address().port}`,
+      close: () => new Promise(done => {
+        server.closeAllConnections();
+        server.close(done);
+      })
+    });
+  });
+});
+
+const readJsonBody = (req) => new Promise((resolve) => {
+  let raw = '';
+  req.on('data', chunk => { raw += chunk; });
+  req.on('end', () => {
+    try {
+      resolve(raw ? JSON.parse(raw) : null);
+    } catch (err) {
+      resolve(null);
+    }
+  });
+});
+
+/**
+ * XValley profile endpoint: answers 200 with the profile registered for a bearer token, otherwise 401
+ * profiles: { [token]: profile }
+ */
+const startFakeXValley = (profiles) => listen((req, res) => {
+  const token = (req.headers.authorization || '').replace(/^Bearer /, '');
+  const profile = profiles[token];
+  res.writeHead(profile ? 200 : 401, { 'content-type': 'application/json' });
+  res.end(JSON.stringify(profile || { detail: 'Invalid token' }));
+});
+
+/**
+ * Just enough PostgREST for the routes under test: in-memory tables filtered with eq., lt., lte. and gte.
+ * (compared as strings, which suits ids and ISO timestamps),
+ * single-object reads, inserts/upserts that echo their rows (with an id if they had none), and updates
+ * Returns: { url, close, tables }
+ */
+const startFakeSupabase = async (tables = {}) => {
+  let nextId = 1000;
+  const fake = await listen(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const match = /^\/rest\/v1\/([^/]+)$/.exec(url.pathname);
+    if (!match) {
+      res.writeHead(404).end();
+      return;
+    }
+
+    const rows = tables[match[1]] = tables[match[1]] || [];
+    const filters = [...url.searchParams]
+      .map(([column, value]) => [column, /^(eq|lt|lte|gte)\.(.*)$/.exec(value)])
+      .filter(([, match]) => match);
+    const selected = rows.filter(row => filters.every(([column, [, op, value]]) => {
+      const actual = String(row[column]);
+      return { eq: actual === value, lt: actual < value, lte: actual <= value, gte: actual >= value }[op];
+    }));
+    const body = await readJsonBody(req);
+
+    let result = selected;
+    if (req.method === 'POST') {
+      result = [].concat(body || []).map(row => ({ id: nextId++, ...row }));
+      rows.push(...result);
+    } else if (req.method === 'PATCH') {
+      selected.forEach(row => Object.assign(row, body));
+    }
+
+    res.setHeader('content-type', 'application/json');
+    if ((req.headers.accept || '').includes('vnd.pgrst.object')) {
+      if (result.length !== 1) {
+        res.writeHead(406).end(JSON.stringify({ code: 'PGRST116', message: 'JSON object requested, multiple (or no) rows returned' }));
+        return;
+      }
+      res.writeHead(200).end(JSON.stringify(result[0]));
+      return;
+    }
+    res.writeHead(req.method === 'POST' ? 201 : 200).end(JSON.stringify(result));
+  });
+
+  return { ...fake, tables };
+};
+
+/**
+ * SMTP server that answers every MAIL FROM with smtp.mailReply (default '250 OK'), so a test can make the
+ * provider accept, defer (4xx) or reject (5xx) mail; smtp.attempts counts the MAIL FROM commands
+ * Returns: { port, close, attempts, mailReply }
+ */
+const startFakeSmtp = () => new Promise((resolve) => {
+  const sockets = new Set();
+  const smtp = { attempts: 0, mailReply: '250 OK' };
+
+  const server = net.createServer((socket) => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+    socket.on('error', () => {});
+
+    let inData = false;
+    let buffered = '';
+    const reply = (line) => socket.write(`${line}\r\n`);
+
+    reply('220 fake-smtp ready');
+    socket.on('data', (chunk) => {
+      buffered += chunk.toString('utf8');
+      let end;
+      while ((end = buffered.indexOf('\r\n')) !== -1) {
+        const line = buffered.slice(0, end);
+        buffered = buffered.slice(end + 2);
+
+        if (inData) {
+          if (line === '.') {
+            inData = false;
+            reply('250 Queued');
+          }
+          continue;
+        }
+
+        const command = line.slice(0, 4).toUpperCase();
+        if (command === 'EHLO' || command === 'HELO') reply('250 fake-smtp');
+        else if (command === 'MAIL') {
+          smtp.attempts++;
+          reply(smtp.mailReply);
+        } else if (command === 'DATA') {
+          inData = true;
+          reply('354 End data with <CR><LF>.<CR><LF>');
+        } else if (command === 'QUIT') {
+          reply('221 Bye');
+          socket.end();
+        } else reply('250 OK');
+      }
+    });
+  });
+
+  server.listen(0, '127.0.0.1', () => {
+    resolve(Object.assign(smtp, {
+      port: server.address().port,
+      close: () => new Promise(done => {
+        sockets.forEach(socket => socket.destroy());
+        server.close(done);
+      })
+    }));
+  });
+});
+
+/**
+ * Load server.js with the given environment and serve it on a free port
+ * Returns: { url, close, request(path, { method, token, headers, body }) -> { status, headers, body } }
+ */
+const startServer = async (env) => {
+  Object.assign(process.env, {
+    NODE_ENV: 'test',
+    SESSION_SECRET: 'test-session-secret',
+    EMAIL_TRANSPORT: 'outbox',
+    COMPLIANCE_ADMIN_KEY: ADMIN_KEY,
+    SMTP_FROM: 'security@nommia.test',
+    SMTP_FROM_NAME: 'Nommia'
+  }, env);
+
+  const app = require('../server');
+  const server = await listen(app);
+
+  const request = async (path, { method = 'GET', token, headers = {}, body } = {}) => {
+    const response = await fetch(`${server.url}${path}`, {
+      method,
+      headers: {
+        ...(body !== undefined ? { 'content-type': 'application/json' } : {}),
+        ...(token ? { authorization: `Bearer ${token}` } : {}),
+        ...headers
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+    const text = await response.text();
+    let parsed = text;
+    try {
+      parsed = JSON.parse(text);
+    } catch (err) {
+      // plain-text response
+    }
+    return { status: response.status, headers: response.headers, body: parsed };
+  };
+
+  return { ...server, request };
+};
+
+/**
+ * Read the security code most recently emailed to an address from the dev outbox
+ */
+const readLatestOtp = async (request, email) => {
+  const list = await request('/api/dev/outbox', { headers: { 'x-admin-key': ADMIN_KEY } });
+  const entry = list.body.data.find(message => message.to.includes(email));
+  if (!entry) throw new Error(`No email captured for ${email}`);
+
+  const text = await request(`/api/dev/outbox/${entry.id}?format=text`, { headers: { 'x-admin-key': ADMIN_KEY } });
+  return /\b\d{6}\b/.exec(text.body)[0];
+};
+
+/**
+ * Send a security code to an email and read it back from the outbox
+ */
+const sendOtp = async (request, email, options = {}) => {
+  const sent = await request('/api/otp/send', { method: 'POST', body: { email }, ...options });
+  if (sent.status !== 200) throw new Error(`OTP send failed with ${sent.status}: ${JSON.stringify(sent.body)}`);
+  return readLatestOtp(request, email);
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+module.exports = {
+  ADMIN_KEY,
+  startFakeXValley,
+  startFakeSupabase,
+  startFakeSmtp,
+  startServer,
+  readLatestOtp,
+  sendOtp,
+  sleep
+};
@@ -0,0 +1,82 @@
+// Idempotency-Key handling, exercised on the OTP send route
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ADMIN_KEY, startServer, readLatestOtp, sleep } = require('./helpers');
+
+const IDEMPOTENCY_TTL_MS = 1500;
+
+let server;
+
+before(async () => {
+  server = await startServer({
+    IDEMPOTENCY_TTL_MS: String(IDEMPOTENCY_TTL_MS),
+    MESSAGING_PROVIDER: 'stub',
+    // Too short for the OTP text, so SMS sends fail
+    SMS_MAX_LENGTH: '20',
+    RATE_LIMITS: JSON.stringify({
+      'otp-send': { perIp: 0, perAccount: 0 },
+      'otp-verify': { perIp: 0, perAccount: 0 }
+    })
+  });
+});
+
+after(async () => {
+  await server.close();
+});
+
+const send = (key, body) => server.request('/api/otp/send', { method: 'POST', headers: { 'idempotency-key': key }, body });
+
+const emailsTo = async (email) => {
+  const list = await server.request('/api/dev/outbox', { headers: { 'x-admin-key': ADMIN_KEY } });
+  return list.body.data.filter(message => message.to.includes(email)).length;
+};
+
+test('a repeat with the same key and body replays the response without sending again', async () => {
+  const first = await send('replay', { email: 'replay@example.com' });
+  const second = await send('replay', { email: 'replay@example.com' });
+
+  assert.equal(first.status, 200);
+  assert.equal(first.headers.get('idempotent-replayed'), null);
+  assert.equal(second.status, 200);
+  assert.equal(second.headers.get('idempotent-replayed'), 'true');
+  assert.deepEqual(second.body, first.body);
+  assert.equal(await emailsTo('replay@example.com'), 1);
+});
+
+test('reusing a key with a different body is refused', async () => {
+  assert.equal((await send('conflict', { email: 'conflict-a@example.com' })).status, 200);
+  const res = await send('conflict', { email: 'conflict-b@example.com' });
+  assert.equal(res.status, 422);
+  assert.equal(await emailsTo('conflict-b@example.com'), 0);
+});
+
+test('a key is forgotten once its time to live has passed', async () => {
+  await send('expiry', { email: 'expiry@example.com' });
+  await sleep(IDEMPOTENCY_TTL_MS + 100);
+
+  const res = await send('expiry', { email: 'expiry@example.com' });
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get('idempotent-replayed'), null);
+  assert.equal(await emailsTo('expiry@example.com'), 2);
+});
+
+test('a repeat after the code was used sends a new code', async () => {
+  await send('used', { email: 'used@example.com' });
+  const code = await readLatestOtp(server.request, 'used@example.com');
+  const verified = await server.request('/api/otp/verify', { method: 'POST', body: { email: 'used@example.com', code } });
+  assert.equal(verified.status, 200);
+
+  const res = await send('used', { email: 'used@example.com' });
+  assert.equal(res.headers.get('idempotent-replayed'), null);
+  assert.equal(await emailsTo('used@example.com'), 2);
+});
+
+test('a send that failed is not replayed', async () => {
+  const body = { channel: 'sms', phoneNumber: '+447700900123' };
+  assert.equal((await send('failed', body)).status, 200);
+
+  const res = await send('failed', body);
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get('idempotent-replayed'), null);
+});
@@ -0,0 +1,33 @@
+// A deployment without XVALLEY_PROFILE_URL: only the routes that need a login are unavailable
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, sendOtp } = require('./helpers');
+
+let server;
+
+before(async () => {
+  delete process.env.XVALLEY_PROFILE_URL;
+  server = await startServer({});
+});
+
+after(async () => {
+  await server.close();
+});
+
+test('starts, and routes without a login still work', async () => {
+  assert.equal((await server.request('/api/health')).status, 200);
+
+  const code = await sendOtp(server.request, 'nologin@example.com');
+  const res = await server.request('/api/otp/verify', { method: 'POST', body: { email: 'nologin@example.com', code } });
+  assert.equal(res.status, 200);
+});
+
+test('routes that need a login answer 503', async () => {
+  const withoutToken = await server.request('/api/nudges/templates');
+  assert.equal(withoutToken.status, 503);
+
+  const withToken = await server.request('/api/nudges/templates', { token: 'any-token' });
+  assert.equal(withToken.status, 503);
+  assert.equal(withToken.body.details, 'XVALLEY_PROFILE_URL is not configured');
+});
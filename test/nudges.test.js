@@ -0,0 +1,123 @@
+// Rendering nudges: preview input, escaping, tiers and the compliance checks
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ADMIN_KEY, startFakeXValley, startServer } = require('./helpers');
+
+let xvalley;
+let server;
+
+before(async () => {
+  xvalley = await startFakeXValley({
+    'alice-token': { username: 'alice', partnerId: 'p1', email: 'alice@example.com' }
+  });
+  server = await startServer({
+    XVALLEY_PROFILE_URL: `${xvalley.url}/profile/`
+  });
+});
+
+after(async () => {
+  await server.close();
+  await xvalley.close();
+});
+
+const preview = (body) => server.request('/api/nudges/preview', {
+  method: 'POST',
+  token: 'alice-token',
+  body: { nudgeType: 'Complete KYC', recipientName: 'Ana', referrerName: 'Alice', tier: 'standard', ...body }
+});
+
+test('a preview cannot swap in its own template or tracking id', async () => {
+  const injected = {
+    id: 'injected',
+    name: 'Injected',
+    subject: 'Injected subject',
+    requiredVariables: [],
+    locales: { en: { subject: 'Injected subject', title: 'x', body: '<a href="https://evil.example/">win</a>' } },
+    availableLocales: ['en']
+  };
+
+  const email = await preview({ template: injected, trackingId: 'forged' });
+  assert.equal(email.status, 200);
+  assert.equal(email.body.subject, 'Complete Your KYC Verification - Nommia IB');
+  assert.doesNotMatch(email.body.html, /evil\.example|\/r\//);
+
+  const sms = await preview({ template: injected, channel: 'sms' });
+  assert.equal(sms.status, 200);
+  assert.doesNotMatch(sms.body.text, /evil\.example/);
+});
+
+test('names and the personal note are HTML-escaped', async () => {
+  const hostile = '<script>alert(1)</script> & "quoted"';
+  const res = await preview({ recipientName: `Ana ${hostile}`, referrerName: `Alice ${hostile}`, personalNote: `Hi ${hostile}` });
+  assert.equal(res.status, 200);
+
+  assert.doesNotMatch(res.body.html, /<script>|& "quoted"/);
+  const escaped = res.body.html.match(/&lt;script&gt;alert\(1\)&lt;\/script&gt; &amp; &quot;quoted&quot;/g) || [];
+  // Each of the three fields appears at least once, escaped
+  assert.ok(escaped.length >= 3, `expected three escaped values, found ${escaped.length}`);
+  assert.match(res.body.html, /Ana &lt;script&gt;/);
+  assert.match(res.body.html, /Alice &lt;script&gt;/);
+  assert.match(res.body.html, /Hi &lt;script&gt;/);
+});
+
+test('tiers resolve by key, label or alias in any case, with inherited variables and blocks', async () => {
+  const vip = await preview({ nudgeType: 'Fund Account', tier: 'VIP' });
+  assert.equal(vip.status, 200);
+  assert.match(vip.body.html, /Your Platinum account includes/);
+  assert.match(vip.body.html, /Spreads from 0\.5 pips/);
+  assert.match(vip.body.html, /Dedicated account manager/);
+
+  const bronze = await preview({ nudgeType: 'Fund Account', tier: 'Bronze' });
+  assert.equal(bronze.status, 200);
+  assert.match(bronze.body.html, /Your Standard account includes/);
+  assert.match(bronze.body.html, /Spreads from 1\.2 pips/);
+  assert.doesNotMatch(bronze.body.html, /Dedicated account manager/);
+
+  const upgrade = await preview({ nudgeType: 'Upgrade Your Account', tier: 'silver' });
+  assert.equal(upgrade.body.subject, 'Upgrade to Gold - Unlock More with Nommia');
+});
+
+test('unknown tiers and tiers a template is not for are refused', async () => {
+  const unknown = await preview({ tier: 'diamond' });
+  assert.equal(unknown.status, 400);
+  assert.match(unknown.body.error, /Unknown tier "diamond"/);
+
+  const restricted = await preview({ nudgeType: 'Upgrade Your Account', tier: 'platinum' });
+  assert.equal(restricted.status, 400);
+  assert.match(restricted.body.error, /not available for tier platinum/);
+});
+
+test('compliance checks pass clean copy, flag advice and block promised profits', async () => {
+  const clean = await preview({});
+  assert.equal(clean.body.compliance.passed, true);
+
+  const flagged = await preview({ personalNote: 'This is not financial advice.' });
+  assert.equal(flagged.body.compliance.blocked, false);
+  assert.deepEqual(flagged.body.compliance.violations.map(v => [v.action, v.match]), [['flag', 'financial advice']]);
+
+  const blocked = await preview({ personalNote: 'Guaranteed profits, zero risk!' });
+  assert.equal(blocked.body.compliance.blocked, true);
+  assert.deepEqual(blocked.body.compliance.violations.map(v => v.match), ['Guaranteed profits', 'zero risk']);
+});
+
+test('a nudge blocked by the compliance checks is not sent', async () => {
+  const res = await server.request('/api/nudges/send', {
+    method: 'POST',
+    token: 'alice-token',
+    body: {
+      partnerId: 'p1',
+      nudgeType: 'Complete KYC',
+      recipientEmail: 'blocked@example.com',
+      recipientName: 'Ana',
+      referrerName: 'Alice',
+      tier: 'standard',
+      personalNote: 'You cannot lose with us.'
+    }
+  });
+  assert.equal(res.status, 422);
+  assert.equal(res.body.violations[0].message, 'Clients can lose money');
+
+  const outbox = await server.request('/api/dev/outbox', { headers: { 'x-admin-key': ADMIN_KEY } });
+  assert.equal(outbox.body.data.filter(message => message.to.includes('blocked@example.com')).length, 0);
+});
@@ -0,0 +1,171 @@
+// The durable nudge queue: queued and scheduled sends, the worker and its claims
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ADMIN_KEY, startFakeXValley, startFakeSupabase, startServer, sleep } = require('./helpers');
+
+let xvalley;
+let supabase;
+let server;
+
+const claimedJob = (fields) => ({
+  partner_id: 'p1',
+  recipient_name: 'Queued',
+  referrer_name: 'Alice',
+  nudge_type: 'Complete KYC',
+  tier: 'standard',
+  channel: 'email',
+  send_at: new Date(Date.now() - 60 * 60 * 1000).toISOString(),
+  timezone: 'UTC',
+  status: 'processing',
+  attempts: 0,
+  ...fields
+});
+
+before(async () => {
+  xvalley = await startFakeXValley({
+    'alice-token': { username: 'alice', partnerId: 'p1', email: 'alice@example.com' }
+  });
+  supabase = await startFakeSupabase({
+    // Claimed by workers: one that stopped an hour ago, and one that may still be sending
+    scheduled_nudges: [
+      claimedJob({ id: 1, recipient_email: 'stale@example.com', updated_at: new Date(Date.now() - 60 * 60 * 1000).toISOString() }),
+      claimedJob({ id: 2, recipient_email: 'in-flight@example.com', updated_at: new Date().toISOString() })
+    ],
+    partner_templates: [{
+      id: 7,
+      partner_id: 'p1',
+      name: 'Friendly',
+      nudge_type: 'Complete KYC',
+      locale: 'en',
+      subject: 'A quick step left, {{recipientName}}',
+      body: 'Finish your verification whenever suits you.',
+      version: 1,
+      status: 'approved'
+    }]
+  });
+  server = await startServer({
+    XVALLEY_PROFILE_URL: `${xvalley.url}/profile/`,
+    SUPABASE_URL: supabase.url,
+    SUPABASE_KEY: 'test-key'
+  });
+});
+
+after(async () => {
+  await server.close();
+  await supabase.close();
+  await xvalley.close();
+});
+
+/**
+ * Poll a job's status until the worker has finished with it
+ */
+const waitForJob = async (statusUrl) => {
+  for (let i = 0; i < 50; i++) {
+    const res = await server.request(statusUrl, { token: 'alice-token' });
+    if (!['pending', 'processing'].includes(res.body.data.status)) return res.body.data;
+    await sleep(100);
+  }
+  throw new Error(`Job at ${statusUrl} did not finish`);
+};
+
+const bulk = (body) => server.request('/api/nudges/bulk', {
+  method: 'POST',
+  token: 'alice-token',
+  body: { partnerId: 'p1', nudgeType: 'Complete KYC', referrerName: 'Alice', tier: 'standard', ...body }
+});
+
+test('bulk sends are queued one job per recipient, each with a status URL', async () => {
+  const res = await bulk({
+    recipients: [
+      { email: 'bulk-one@example.com', name: 'One' },
+      { email: 'bulk-two@example.com', name: 'Two' },
+      { email: 'not-an-email', name: 'Bad' }
+    ]
+  });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.summary.queued, 2);
+  assert.equal(res.body.summary.invalid, 1);
+
+  const [one, two] = res.body.results;
+  assert.equal(one.status, 'queued');
+  assert.equal(two.status, 'queued');
+  assert.deepEqual(
+    supabase.tables.scheduled_nudges.map(row => row.recipient_email).filter(email => email.startsWith('bulk-')).sort(),
+    ['bulk-one@example.com', 'bulk-two@example.com']
+  );
+
+  const job = await waitForJob(one.statusUrl);
+  assert.equal(job.jobId, one.jobId);
+  assert.equal(job.recipientEmail, 'bulk-one@example.com');
+  assert.equal(job.status, 'sent');
+  assert.equal((await waitForJob(two.statusUrl)).status, 'sent');
+});
+
+test('bulk sends use an approved custom template for email recipients of the batch nudge type', async () => {
+  const res = await bulk({
+    customTemplate: 'Friendly',
+    recipients: [
+      { email: 'custom-one@example.com', name: 'One' },
+      { email: 'custom-two@example.com', name: 'Two', nudgeType: 'Fund Account' }
+    ]
+  });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.results[0].status, 'queued');
+  assert.equal(res.body.results[1].status, 'invalid');
+
+  const job = supabase.tables.scheduled_nudges.find(row => row.recipient_email === 'custom-one@example.com');
+  assert.equal(job.custom_template_id, 7);
+  assert.equal((await waitForJob(res.body.results[0].statusUrl)).status, 'sent');
+
+  const outbox = await server.request('/api/dev/outbox', { headers: { 'x-admin-key': ADMIN_KEY } });
+  const sent = outbox.body.data.find(message => message.to.includes('custom-one@example.com'));
+  assert.equal(sent.subject, 'A quick step left, One');
+});
+
+test('bulk sends refuse a custom template that is not approved', async () => {
+  const res = await bulk({ customTemplate: 'Missing', recipients: [{ email: 'custom-three@example.com', name: 'Three' }] });
+  assert.equal(res.status, 404);
+});
+
+test('the worker only takes back claims older than the lease', async () => {
+  // Any queued send runs a worker pass
+  await bulk({ recipients: [{ email: 'lease@example.com', name: 'Lease' }] });
+  await sleep(500);
+
+  const status = (id) => supabase.tables.scheduled_nudges.find(row => row.id === id).status;
+  assert.equal(status(1), 'sent');
+  assert.equal(status(2), 'processing');
+});
+
+test('a local sendAt is read in the given time zone, and an explicit offset is kept', async () => {
+  const day = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  const schedule = (sendAt, timezone) => server.request('/api/nudges/send', {
+    method: 'POST',
+    token: 'alice-token',
+    body: {
+      partnerId: 'p1',
+      nudgeType: 'Complete KYC',
+      recipientEmail: 'scheduled@example.com',
+      recipientName: 'Later',
+      referrerName: 'Alice',
+      tier: 'standard',
+      sendAt,
+      timezone
+    }
+  });
+
+  const kolkata = await schedule(`${day}T09:00`, 'Asia/Kolkata');
+  assert.equal(kolkata.status, 202);
+  assert.equal(kolkata.body.sendAt, `${day}T03:30:00.000Z`);
+  assert.equal(kolkata.body.timezone, 'Asia/Kolkata');
+
+  const offset = await schedule(`${day}T09:00:00+02:00`, 'Asia/Kolkata');
+  assert.equal(offset.body.sendAt, `${day}T07:00:00.000Z`);
+
+  const utc = await schedule(`${day}T09:00`);
+  assert.equal(utc.body.sendAt, `${day}T09:00:00.000Z`);
+
+  assert.equal((await schedule(`${day}T09:00`, 'Mars/Olympus')).status, 400);
+  assert.equal((await schedule('2020-01-01T09:00', 'UTC')).status, 400);
+});
@@ -0,0 +1,142 @@
+// Rate limits, OTP attempt caps and escalating lockouts on the security-code routes
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startFakeXValley, startServer, sendOtp, sleep } = require('./helpers');
+
+const SEND_WINDOW_MS = 1500;
+const LOCKOUT_BASE_MS = 1500;
+
+let xvalley;
+let server;
+
+before(async () => {
+  xvalley = await startFakeXValley({
+    'alice-token': { username: 'alice', partnerId: 'p1', email: 'alice@example.com' }
+  });
+  server = await startServer({
+    XVALLEY_PROFILE_URL: `${xvalley.url}/profile/`,
+    // Each test uses its own X-Forwarded-For address
+    TRUST_PROXY: '1',
+    OTP_MAX_ATTEMPTS: '2',
+    LOCKOUT_THRESHOLD: '3',
+    LOCKOUT_BASE_MS: String(LOCKOUT_BASE_MS),
+    RATE_LIMITS: JSON.stringify({
+      'otp-send': { perIp: 0, perAccount: 3, windowMs: SEND_WINDOW_MS },
+      'otp-verify': { perIp: 0, perAccount: 0 },
+      'password-reset': { perIp: 2, perAccount: 0, windowMs: 60 * 1000 }
+    })
+  });
+});
+
+after(async () => {
+  await server.close();
+  await xvalley.close();
+});
+
+const fromIp = (ip, options = {}) => ({ ...options, headers: { ...options.headers, 'x-forwarded-for': ip } });
+
+const send = (email, ip) => server.request('/api/otp/send', fromIp(ip, { method: 'POST', body: { email } }));
+
+const verify = (email, code, ip, token) => server.request('/api/otp/verify', fromIp(ip, { method: 'POST', token, body: { email, code } }));
+
+/**
+ * Fail LOCKOUT_THRESHOLD (3) times: two wrong guesses use up one code (OTP_MAX_ATTEMPTS), the third needs a new one
+ */
+const failThreeTimes = async (email, ip, token) => {
+  await sendOtp(server.request, email, fromIp(ip));
+  assert.equal((await verify(email, '000000', ip, token)).status, 400);
+  assert.equal((await verify(email, '000000', ip, token)).status, 400);
+  await sendOtp(server.request, email, fromIp(ip));
+  assert.equal((await verify(email, '000000', ip, token)).status, 400);
+};
+
+test('per-account send limit resets when its window ends', async () => {
+  for (const remaining of ['2', '1', '0']) {
+    const res = await send('window@example.com', '10.0.3.1');
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get('ratelimit-limit'), '3');
+    assert.equal(res.headers.get('ratelimit-remaining'), remaining);
+  }
+
+  const limited = await send('window@example.com', '10.0.3.2');
+  assert.equal(limited.status, 429);
+  assert.equal(limited.body.code, 'RATE_LIMITED');
+  assert.ok(Number(limited.headers.get('retry-after')) >= 1);
+  assert.equal(limited.headers.get('ratelimit-remaining'), '0');
+
+  assert.equal((await send('other@example.com', '10.0.3.1')).status, 200);
+
+  await sleep(SEND_WINDOW_MS + 100);
+  assert.equal((await send('window@example.com', '10.0.3.1')).status, 200);
+});
+
+test('per-IP limit only applies to that IP', async () => {
+  const reset = (ip) => server.request('/api/password/reset', fromIp(ip, { method: 'POST', body: { email: `${ip}@example.com` } }));
+
+  assert.equal((await reset('10.0.4.1')).status, 400);
+  assert.equal((await reset('10.0.4.1')).status, 400);
+  const limited = await reset('10.0.4.1');
+  assert.equal(limited.status, 429);
+  assert.equal(limited.headers.get('ratelimit-limit'), '2');
+
+  assert.equal((await reset('10.0.4.2')).status, 400);
+});
+
+test('a code is invalidated after OTP_MAX_ATTEMPTS wrong guesses', async () => {
+  const code = await sendOtp(server.request, 'cap@example.com', fromIp('10.0.5.1'));
+
+  const first = await verify('cap@example.com', code === '000000' ? '111111' : '000000', '10.0.5.1');
+  assert.equal(first.status, 400);
+  assert.equal(first.body.attemptsRemaining, 1);
+
+  const second = await verify('cap@example.com', code === '999999' ? '111111' : '999999', '10.0.5.1');
+  assert.equal(second.status, 400);
+  assert.equal(second.body.code, 'OTP_ATTEMPTS_EXCEEDED');
+
+  const late = await verify('cap@example.com', code, '10.0.5.1');
+  assert.equal(late.status, 400);
+  assert.equal(late.body.verified, undefined);
+});
+
+test('a correct code clears earlier failures', async () => {
+  const code = await sendOtp(server.request, 'clear@example.com', fromIp('10.0.6.1'));
+  assert.equal((await verify('clear@example.com', '000000', '10.0.6.1')).status, 400);
+  assert.equal((await verify('clear@example.com', code, '10.0.6.1')).status, 200);
+
+  // Two more failures would have made three without the reset
+  await sendOtp(server.request, 'clear@example.com', fromIp('10.0.6.1'));
+  await verify('clear@example.com', '000000', '10.0.6.1');
+  await verify('clear@example.com', '000000', '10.0.6.1');
+  assert.notEqual((await verify('clear@example.com', '000000', '10.0.6.1')).status, 429);
+});
+
+test('lockouts escalate, and only lock out the IP that failed', async () => {
+  await failThreeTimes('lock@example.com', '10.0.1.1');
+
+  const locked = await verify('lock@example.com', '000000', '10.0.1.1');
+  assert.equal(locked.status, 429);
+  assert.equal(locked.body.code, 'ACCOUNT_LOCKED');
+  assert.equal(locked.headers.get('retry-after'), String(Math.ceil(LOCKOUT_BASE_MS / 1000)));
+
+  // Someone else guessing at the same account is not locked out by this caller's failures
+  assert.equal((await verify('lock@example.com', '000000', '10.0.1.2')).status, 400);
+
+  await sleep(LOCKOUT_BASE_MS + 100);
+  await failThreeTimes('lock@example.com', '10.0.1.1');
+
+  const relocked = await verify('lock@example.com', '000000', '10.0.1.1');
+  assert.equal(relocked.status, 429);
+  assert.equal(relocked.headers.get('retry-after'), String(Math.ceil((LOCKOUT_BASE_MS * 2) / 1000)));
+});
+
+test('a caller signed in as the account locks it on every IP', async () => {
+  await failThreeTimes('alice@example.com', '10.0.2.1', 'alice-token');
+
+  const signedIn = await verify('alice@example.com', '000000', '10.0.2.2', 'alice-token');
+  assert.equal(signedIn.status, 429);
+  assert.equal(signedIn.body.code, 'ACCOUNT_LOCKED');
+
+  // A stranger's guesses never counted toward it, and they are not locked out by it either
+  assert.equal((await verify('alice@example.com', '000000', '10.0.2.3')).status, 400);
+});
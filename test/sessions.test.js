@@ -0,0 +1,189 @@
+// MFA sessions: issue, refresh-token rotation and reuse, revocation and the recent-MFA check
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const speakeasy = require('speakeasy');
+const { startFakeXValley, startFakeSupabase, startServer, sendOtp, sleep } = require('./helpers');
+
+const MFA_RECENT_SECONDS = 2;
+const totpSecret = speakeasy.generateSecret().base32;
+
+let xvalley;
+let supabase;
+let server;
+
+before(async () => {
+  xvalley = await startFakeXValley({
+    'alice-token': { username: 'alice', partnerId: 'p1', email: 'alice@example.com' },
+    'carol-token': { username: 'carol', partnerId: 'p3', email: 'carol@example.com' }
+  });
+  supabase = await startFakeSupabase({
+    user_2fa: [{ username: 'carol', secret: totpSecret, enabled: true }]
+  });
+  server = await startServer({
+    XVALLEY_PROFILE_URL: `${xvalley.url}/profile/`,
+    SUPABASE_URL: supabase.url,
+    SUPABASE_KEY: 'test-key',
+    MFA_RECENT_SECONDS: String(MFA_RECENT_SECONDS),
+    // Rate limits have their own tests; these tests sign in more often than the defaults allow
+    RATE_LIMITS: JSON.stringify({
+      'otp-send': { perIp: 0, perAccount: 0 },
+      'otp-verify': { perIp: 0, perAccount: 0 }
+    })
+  });
+});
+
+after(async () => {
+  await server.close();
+  await supabase.close();
+  await xvalley.close();
+});
+
+/**
+ * Start an MFA session by verifying an emailed code while signed in with an XValley token
+ */
+const startOtpSession = async (token, email) => {
+  const code = await sendOtp(server.request, email);
+  const res = await server.request('/api/otp/verify', { method: 'POST', token, body: { email, code } });
+  assert.equal(res.status, 200);
+  assert.ok(res.body.session, 'expected an MFA session in the response');
+  return res.body.session;
+};
+
+const startTotpSession = async (token, username) => {
+  const code = speakeasy.totp({ secret: totpSecret, encoding: 'base32' });
+  const res = await server.request('/api/2fa/verify-login', { method: 'POST', token, body: { username, token: code } });
+  assert.equal(res.status, 200);
+  return res.body.session;
+};
+
+const savePayout = (token, partnerId) => server.request('/api/payouts/save', {
+  method: 'POST',
+  token,
+  body: { partnerId, iban: 'DE89370400440532013000' }
+});
+
+test('verifying an OTP for your own email starts a session whose token authenticates', async () => {
+  const session = await startOtpSession('alice-token', 'alice@example.com');
+  assert.equal(session.tokenType, 'Bearer');
+  assert.ok(session.refreshToken);
+
+  const res = await server.request('/api/nudges/templates', { token: session.accessToken });
+  assert.equal(res.status, 200);
+});
+
+test('verifying an OTP without a matching login does not start a session', async () => {
+  const code = await sendOtp(server.request, 'someone@example.com');
+  const res = await server.request('/api/otp/verify', { method: 'POST', body: { email: 'someone@example.com', code } });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.session, undefined);
+});
+
+test('refresh rotates the tokens and keeps the session usable', async () => {
+  const session = await startOtpSession('alice-token', 'alice@example.com');
+  const res = await server.request('/api/auth/refresh', { method: 'POST', body: { refreshToken: session.refreshToken } });
+  assert.equal(res.status, 200);
+  assert.notEqual(res.body.session.refreshToken, session.refreshToken);
+
+  const check = await server.request('/api/nudges/templates', { token: res.body.session.accessToken });
+  assert.equal(check.status, 200);
+});
+
+test('reusing a refresh token revokes the whole session', async () => {
+  const session = await startOtpSession('alice-token', 'alice@example.com');
+  const first = await server.request('/api/auth/refresh', { method: 'POST', body: { refreshToken: session.refreshToken } });
+  assert.equal(first.status, 200);
+
+  const reuse = await server.request('/api/auth/refresh', { method: 'POST', body: { refreshToken: session.refreshToken } });
+  assert.equal(reuse.status, 401);
+
+  const rotated = await server.request('/api/auth/refresh', { method: 'POST', body: { refreshToken: first.body.session.refreshToken } });
+  assert.equal(rotated.status, 401);
+  const check = await server.request('/api/nudges/templates', { token: first.body.session.accessToken });
+  assert.equal(check.status, 401);
+});
+
+test('revoking a session rejects its access token', async () => {
+  const session = await startOtpSession('alice-token', 'alice@example.com');
+  const res = await server.request('/api/auth/revoke', { method: 'POST', token: session.accessToken, body: {} });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.revoked, 1);
+
+  const check = await server.request('/api/nudges/templates', { token: session.accessToken });
+  assert.equal(check.status, 401);
+});
+
+test('revoking all sessions ends every session of the caller', async () => {
+  const one = await startOtpSession('alice-token', 'alice@example.com');
+  const two = await startOtpSession('alice-token', 'alice@example.com');
+  const res = await server.request('/api/auth/revoke', { method: 'POST', token: one.accessToken, body: { all: true } });
+  assert.equal(res.status, 200);
+  assert.ok(res.body.revoked >= 2);
+
+  assert.equal((await server.request('/api/nudges/templates', { token: two.accessToken })).status, 401);
+});
+
+test('payout changes need a recent second factor', async () => {
+  const res = await savePayout('alice-token', 'p1');
+  assert.equal(res.status, 401);
+  assert.equal(res.body.code, 'MFA_REQUIRED');
+  assert.match(res.headers.get('www-authenticate'), /insufficient_user_authentication/);
+});
+
+test('an email-code session is enough for a user without 2FA', async () => {
+  const session = await startOtpSession('alice-token', 'alice@example.com');
+  const res = await savePayout(session.accessToken, 'p1');
+  assert.equal(res.status, 200);
+});
+
+test('an email-code session is not enough for a user with 2FA enabled', async () => {
+  const session = await startOtpSession('carol-token', 'carol@example.com');
+  assert.equal((await savePayout(session.accessToken, 'p3')).status, 401);
+
+  const disable = await server.request('/api/2fa/disable', {
+    method: 'POST',
+    token: session.accessToken,
+    body: { username: 'carol' }
+  });
+  assert.equal(disable.status, 401);
+  assert.equal(disable.body.code, 'MFA_REQUIRED');
+  assert.equal(supabase.tables.user_2fa[0].enabled, true);
+});
+
+test('a login token alone cannot replace the authenticator of a user with 2FA enabled', async () => {
+  const setup = await server.request('/api/2fa/setup', { method: 'POST', token: 'carol-token', body: { username: 'carol' } });
+  assert.equal(setup.status, 401);
+  assert.equal(setup.body.code, 'MFA_REQUIRED');
+
+  const session = await startOtpSession('carol-token', 'carol@example.com');
+  const withEmailCode = await server.request('/api/2fa/setup', { method: 'POST', token: session.accessToken, body: { username: 'carol' } });
+  assert.equal(withEmailCode.status, 401);
+
+  assert.deepEqual(supabase.tables.user_2fa.map(row => [row.username, row.secret, row.enabled]), [['carol', totpSecret, true]]);
+});
+
+test('an email-code session is enough to set up 2FA for a user without it', async () => {
+  assert.equal((await server.request('/api/2fa/setup', { method: 'POST', token: 'alice-token', body: { username: 'alice' } })).status, 401);
+
+  const session = await startOtpSession('alice-token', 'alice@example.com');
+  const setup = await server.request('/api/2fa/setup', { method: 'POST', token: session.accessToken, body: { username: 'alice' } });
+  assert.equal(setup.status, 200);
+  assert.ok(setup.body.secret);
+});
+
+test('an authenticator session passes the check for a user with 2FA enabled', async () => {
+  const session = await startTotpSession('carol-token', 'carol');
+  const res = await savePayout(session.accessToken, 'p3');
+  assert.equal(res.status, 200);
+});
+
+test('the second factor goes stale, and refreshing does not renew it', async () => {
+  const session = await startOtpSession('alice-token', 'alice@example.com');
+  await sleep((MFA_RECENT_SECONDS + 1) * 1000 + 100);
+
+  assert.equal((await savePayout(session.accessToken, 'p1')).status, 401);
+
+  const refreshed = await server.request('/api/auth/refresh', { method: 'POST', body: { refreshToken: session.refreshToken } });
+  assert.equal(refreshed.status, 200);
+  assert.equal((await savePayout(refreshed.body.session.accessToken, 'p1')).status, 401);
+});
@@ -0,0 +1,89 @@
+// Unsubscribe links: signed tokens, the confirmation page and the suppression list
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ADMIN_KEY, startFakeXValley, startFakeSupabase, startServer, sleep } = require('./helpers');
+
+let xvalley;
+let supabase;
+let server;
+
+before(async () => {
+  xvalley = await startFakeXValley({
+    'alice-token': { username: 'alice', partnerId: 'p1', email: 'alice@example.com' }
+  });
+  supabase = await startFakeSupabase({ email_suppressions: [] });
+  server = await startServer({
+    XVALLEY_PROFILE_URL: `${xvalley.url}/profile/`,
+    SUPABASE_URL: supabase.url,
+    SUPABASE_KEY: 'test-key'
+  });
+});
+
+after(async () => {
+  await server.close();
+  await supabase.close();
+  await xvalley.close();
+});
+
+const send = (recipientEmail) => server.request('/api/nudges/send', {
+  method: 'POST',
+  token: 'alice-token',
+  body: { partnerId: 'p1', nudgeType: 'Complete KYC', recipientEmail, recipientName: 'Ana', referrerName: 'Alice', tier: 'standard' }
+});
+
+/**
+ * Send a nudge and return the unsubscribe path from its List-Unsubscribe header
+ */
+const unsubscribePathFor = async (recipientEmail) => {
+  assert.equal((await send(recipientEmail)).status, 202);
+
+  for (let i = 0; i < 50; i++) {
+    const outbox = await server.request('/api/dev/outbox', { headers: { 'x-admin-key': ADMIN_KEY } });
+    const sent = outbox.body.data.find(message => message.to.includes(recipientEmail));
+    if (sent) {
+      const entry = await server.request(`/api/dev/outbox/${sent.id}`, { headers: { 'x-admin-key': ADMIN_KEY } });
+      return new URL(entry.body.data.headers['List-Unsubscribe'].slice(1, -1)).pathname;
+    }
+    await sleep(100);
+  }
+  throw new Error(`No email was sent to ${recipientEmail}`);
+};
+
+const postForm = (pathname, form) => fetch(`${server.url}${pathname}`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+  body: new URLSearchParams(form).toString()
+});
+
+test('an unsubscribe link only asks for confirmation, and a tampered one is refused', async () => {
+  const pathname = await unsubscribePathFor('link@example.com');
+
+  const page = await server.request(pathname);
+  assert.equal(page.status, 200);
+  assert.match(page.body, /Stop receiving Nommia partner messages at link@example\.com\?/);
+  assert.equal(supabase.tables.email_suppressions.length, 0);
+
+  const [payload, signature] = pathname.split('/').pop().split('.');
+  const forged = Buffer.from(JSON.stringify({ purpose: 'unsubscribe', email: 'someone-else@example.com', partnerId: 'p1' })).toString('base64url');
+  assert.equal((await server.request(`/unsubscribe/${forged}.${signature}`)).status, 400);
+  assert.equal((await postForm(`/unsubscribe/${payload}.${signature}x`, {})).status, 400);
+  assert.equal(supabase.tables.email_suppressions.length, 0);
+});
+
+test('a one-click unsubscribe suppresses the recipient and later sends are refused', async () => {
+  const pathname = await unsubscribePathFor('one-click@example.com');
+
+  const res = await postForm(pathname, { 'List-Unsubscribe': 'One-Click' });
+  assert.equal(res.status, 200);
+  assert.match(await res.text(), /You have been unsubscribed/);
+  assert.deepEqual(
+    supabase.tables.email_suppressions.map(row => [row.email, row.reason, row.source, row.partner_id]),
+    [['one-click@example.com', 'unsubscribed', 'one-click', 'p1']]
+  );
+
+  const again = await send('one-click@example.com');
+  assert.equal(again.status, 409);
+  assert.equal(again.body.reason, 'suppressed');
+  assert.match(again.body.details, /\(unsubscribed\)/);
+});
@@ -0,0 +1,103 @@
+// Brevo delivery webhooks: the secret, status ranking and suppressing events
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startFakeSupabase, startServer } = require('./helpers');
+
+const WEBHOOK_SECRET = 'test-webhook-secret';
+
+let supabase;
+let server;
+
+const historyRow = (fields) => ({
+  partner_id: 'p1',
+  nudge_type: 'Complete KYC',
+  status: 'sent',
+  delivered_at: null,
+  opened_at: null,
+  clicked_at: null,
+  bounced_at: null,
+  complained_at: null,
+  ...fields
+});
+
+before(async () => {
+  supabase = await startFakeSupabase({
+    nudge_history: [
+      historyRow({ id: 1, recipient_email: 'late@example.com', message_id: '<late@brevo>' }),
+      historyRow({ id: 2, recipient_email: 'bounce@example.com', message_id: '<bounce@brevo>' })
+    ],
+    email_events: [],
+    email_suppressions: []
+  });
+  server = await startServer({
+    SUPABASE_URL: supabase.url,
+    SUPABASE_KEY: 'test-key',
+    BREVO_WEBHOOK_SECRET: WEBHOOK_SECRET
+  });
+});
+
+after(async () => {
+  await server.close();
+  await supabase.close();
+});
+
+const post = (body, token = WEBHOOK_SECRET) => server.request('/api/webhooks/brevo', {
+  method: 'POST',
+  headers: { authorization: `Bearer ${token}` },
+  body
+});
+
+const event = (name, messageId, email, minutes) => ({
+  event: name,
+  'message-id': messageId,
+  email,
+  ts_event: Math.floor(Date.UTC(2026, 0, 1, 12, minutes) / 1000)
+});
+
+const at = (minutes) => new Date(Date.UTC(2026, 0, 1, 12, minutes)).toISOString();
+
+test('events with a wrong secret are rejected and change nothing', async () => {
+  const res = await post(event('click', '<late@brevo>', 'late@example.com', 0), 'wrong-secret');
+  assert.equal(res.status, 401);
+  assert.equal(supabase.tables.nudge_history[0].status, 'sent');
+  assert.equal(supabase.tables.email_events.length, 0);
+});
+
+test('late events never move a message backwards, and an open proves delivery', async () => {
+  const opened = await post(event('opened', '<late@brevo>', 'late@example.com', 5));
+  assert.equal(opened.status, 200);
+  assert.equal(opened.body.results[0].matched, true);
+
+  // Brevo can deliver the webhooks out of order
+  const res = await post([
+    event('delivered', '<late@brevo>', 'late@example.com', 1),
+    event('deferred', '<late@brevo>', 'late@example.com', 0)
+  ]);
+  assert.equal(res.status, 200);
+  assert.equal(res.body.processed, 2);
+
+  const row = supabase.tables.nudge_history[0];
+  assert.equal(row.status, 'opened');
+  assert.equal(row.opened_at, at(5));
+  assert.equal(row.delivered_at, at(5));
+  assert.equal(row.last_event_at, at(0));
+
+  await post(event('click', '<late@brevo>', 'late@example.com', 9));
+  assert.equal(supabase.tables.nudge_history[0].status, 'clicked');
+  assert.equal(supabase.tables.nudge_history[0].clicked_at, at(9));
+  assert.deepEqual(supabase.tables.email_events.map(row => row.status), ['opened', 'delivered', 'deferred', 'clicked']);
+});
+
+test('a hard bounce outranks delivery and suppresses the address', async () => {
+  await post(event('hard_bounce', '<bounce@brevo>', 'Bounce@Example.com', 2));
+  await post(event('delivered', '<bounce@brevo>', 'bounce@example.com', 1));
+
+  const row = supabase.tables.nudge_history[1];
+  assert.equal(row.status, 'bounced');
+  assert.equal(row.bounced_at, at(2));
+  assert.deepEqual(
+    supabase.tables.email_suppressions.map(row => [row.email, row.reason, row.source]),
+    [['bounce@example.com', 'hard_bounce', 'brevo-webhook']]
+  );
+});